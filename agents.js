@@ -0,0 +1,457 @@
+// Agent-based order flow. A population of trader types places orders minute
+// by minute - on the bonding curve, then on the pool it graduates into - and
+// each candle is aggregated from the resulting fills. Scenarios come from
+// agent behavior (a rug is the dev selling their bag), and every fill is
+// kept on its candle as ground truth.
+class TraderSimulation {
+  constructor(generator) {
+    // Seeded random helpers, market phases and SOL price (the ChartGenerator)
+    this.generator = generator;
+
+    const Curve =
+      typeof BondingCurve !== "undefined"
+        ? BondingCurve
+        : require("./bondingcurve.js");
+    this.Curve = Curve;
+  }
+
+  // options: { scenario, volatility, postBonding }
+  // Returns { preBonding, postBonding, agents } - post-bonding charts still
+  // simulate the launch so holders reach graduation with real entry prices
+  run(options) {
+    const { scenario, volatility, postBonding = true } = options;
+    const g = this.generator;
+
+    this.sigma = TraderSimulation.SIZE_SPREAD[volatility] || 1.0;
+    this.agents = [];
+    this.agentCounts = {};
+    this.momentum = 0;
+    this.market = new this.Curve({ totalSupply: g.TOKEN_SUPPLY });
+
+    this.launch(scenario);
+    const preBonding = this.runPreBonding();
+
+    // Graduation: liquidity moves to an open-ended constant-product pool
+    // at the same reserves, so the price carries straight on
+    const curve = this.market;
+    this.market = new this.Curve({
+      virtualSol: curve.virtualSol,
+      virtualTokens: curve.virtualTokens,
+      realTokens: Infinity,
+      tokensSold: curve.tokensSold,
+      totalSupply: g.TOKEN_SUPPLY,
+    });
+
+    return {
+      preBonding,
+      postBonding: postBonding ? this.runPostBonding(scenario) : [],
+      agents: this.agents.map((agent) => ({
+        id: agent.id,
+        type: agent.type,
+        boughtSol: agent.boughtSol,
+        soldSol: agent.soldSol,
+        tokens: agent.tokens,
+      })),
+    };
+  }
+
+  addAgent(type, details = {}) {
+    this.agentCounts[type] = (this.agentCounts[type] || 0) + 1;
+    const agent = {
+      id: `${type}_${this.agentCounts[type]}`,
+      type,
+      tokens: 0,
+      boughtTokens: 0,
+      boughtSol: 0,
+      soldSol: 0,
+      ...details,
+    };
+    this.agents.push(agent);
+    return agent;
+  }
+
+  // Everyone present at launch; retail arrives later, minute by minute
+  launch(scenario) {
+    const g = this.generator;
+
+    // Rugging devs bundle a large share of supply at launch
+    this.addAgent("dev", {
+      launchSol:
+        scenario === "instant_rug" ? g.random(15, 25) : g.random(0.5, 3),
+    });
+
+    for (let i = g.randomInt(3, 6); i > 0; i--) {
+      this.addAgent("sniper", {
+        entryMinute: g.randomInt(0, 2),
+        entrySol: g.random(0.5, 3),
+        targetGain: g.random(2, 5),
+      });
+    }
+    for (let i = g.randomInt(1, 3); i > 0; i--) this.addAgent("bot");
+    for (let i = g.randomInt(1, 3); i > 0; i--) this.addAgent("whale");
+  }
+
+  // Log-normal order size in SOL, wider at higher volatility
+  orderSize(median) {
+    return Math.min(
+      median * Math.exp(this.generator.gaussianRandom() * this.sigma),
+      50
+    );
+  }
+
+  // Price multiple over the agent's average entry (1 when flat)
+  gain(agent) {
+    if (!(agent.tokens > 0 && agent.boughtTokens > 0)) return 1;
+    return this.market.price() / (agent.boughtSol / agent.boughtTokens);
+  }
+
+  // Trade until the curve sells its last token, paced by buy pressure so
+  // the run takes roughly model.preBondingCandles minutes
+  runPreBonding() {
+    const g = this.generator;
+    const plannedCandles = g.randomInt(...g.model.preBondingCandles);
+    const candles = [];
+
+    for (let minute = 0; !this.market.isComplete(); minute++) {
+      const timeProgress = minute / (plannedCandles - 1);
+      const phase = g.getMarketPhase(Math.min(timeProgress, 1));
+      // Keeps growing past the planned length, so late runs get pushed home
+      const lag = timeProgress - this.market.progress();
+
+      candles.push(
+        this.tradeMinute(minute, {
+          phase: phase.name,
+          sentiment: Math.min(
+            Math.max(0.5 + phase.bias * 20 + lag * 2, 0.1),
+            0.9
+          ),
+          arrivals: 2 * phase.volMult * Math.exp(lag * 6),
+          bots: 0.3,
+          whales: "idle",
+          dev: "hold",
+        })
+      );
+    }
+
+    return candles;
+  }
+
+  runPostBonding(scenario) {
+    const g = this.generator;
+    const numCandles = g.randomInt(500, 1500);
+    const plan = {
+      numCandles,
+      rugAt: g.randomInt(10, 30),
+      breakoutAt: Math.floor(numCandles * g.random(0.6, 0.8)),
+      breakoutUp: g.rng() < 0.5,
+    };
+
+    return Array.from({ length: numCandles }, (_, minute) =>
+      this.tradeMinute(
+        minute,
+        this.postBondingStage(scenario, minute / numCandles, minute, plan)
+      )
+    );
+  }
+
+  // What each agent type is up to at a point of a post-bonding scenario.
+  // Phase names match the scripted generators.
+  postBondingStage(scenario, progress, minute, plan) {
+    const base = {
+      sentiment: 0.5,
+      arrivals: 1,
+      bots: 0.5,
+      whales: "idle",
+      dev: "hold",
+      events: [],
+    };
+
+    switch (scenario) {
+      case "pump_dump": {
+        const stages = [
+          { phase: "accumulation", end: 0.2, sentiment: 0.5, arrivals: 0.6 },
+          { phase: "pump", end: 0.35, sentiment: 0.8, arrivals: 1 },
+          { phase: "distribution", end: 0.5, sentiment: 0.5, arrivals: 1.2 },
+          { phase: "dump", end: 1, sentiment: 0.2, arrivals: 0.3 },
+        ];
+        const stage = stages.find((s) => progress < s.end);
+        const whales = {
+          accumulation: "accumulate",
+          pump: "pump",
+          distribution: "distribute",
+          dump: "dump",
+        };
+        const before = stages.find(
+          (s) => (minute - 1) / plan.numCandles < s.end
+        );
+        const starts = minute > 0 && before !== stage;
+
+        return {
+          ...base,
+          ...stage,
+          whales: whales[stage.phase],
+          dev: stage.phase === "dump" ? "dump" : "hold",
+          events:
+            starts && ["pump", "dump"].includes(stage.phase)
+              ? [{ type: `${stage.phase}_start` }]
+              : [],
+        };
+      }
+      case "instant_rug":
+        if (minute < plan.rugAt) {
+          return { ...base, phase: "pre_rug", sentiment: 0.65, arrivals: 1.5 };
+        }
+        if (minute === plan.rugAt) {
+          return { ...base, phase: "rug", dev: "rug", sentiment: 0.1 };
+        }
+        return {
+          ...base,
+          phase: "dead",
+          sentiment: 0.2,
+          arrivals: 0.05,
+          bots: 0.05,
+        };
+      case "slow_bleed":
+        return {
+          ...base,
+          phase: "bleed",
+          sentiment: 0.35,
+          arrivals: 0.6,
+          dev: "bleed",
+        };
+      case "consolidation":
+        if (minute < plan.breakoutAt) {
+          return { ...base, phase: "consolidation", arrivals: 0.8, bots: 0.8 };
+        }
+        return {
+          ...base,
+          phase: "breakout",
+          sentiment: plan.breakoutUp ? 0.65 : 0.3,
+          arrivals: plan.breakoutUp ? 1.2 : 0.5,
+          whales: plan.breakoutUp ? "accumulate" : "distribute",
+          events:
+            minute === plan.breakoutAt
+              ? [
+                  {
+                    type: "breakout",
+                    direction: plan.breakoutUp ? "up" : "down",
+                  },
+                ]
+              : [],
+        };
+      default:
+        // Steady growth: new buyers keep arriving faster
+        return {
+          ...base,
+          phase: "organic",
+          sentiment: 0.65,
+          arrivals: 2 + progress * 6,
+        };
+    }
+  }
+
+  // Collect every agent's orders for the minute, fill them in a shuffled
+  // order and turn the fills into one candle
+  tradeMinute(minute, stage) {
+    const g = this.generator;
+    const toMcap = () => this.market.marketCapSol() * g.SOL_PRICE;
+
+    // Order groups stay together (a bot's buy is followed by its sell)
+    const groups = [];
+    this.agents.forEach((agent) => {
+      const orders = this[TraderSimulation.AGENT_TYPES[agent.type]](
+        agent,
+        stage,
+        minute
+      );
+      if (orders.length > 0) groups.push(orders);
+    });
+
+    // Retail arrivals, drawn in faster by recent gains (FOMO)
+    const fomo = 1 + Math.min(Math.max(this.momentum, 0) * 10, 1);
+    const arrivals = g.poissonRandom(stage.arrivals * stage.sentiment * fomo);
+    for (let i = 0; i < arrivals; i++) {
+      const agent = this.addAgent("retail");
+      groups.push([{ agent, side: "buy", sol: this.orderSize(0.3) }]);
+    }
+
+    for (let i = groups.length - 1; i > 0; i--) {
+      const j = g.randomInt(0, i);
+      [groups[i], groups[j]] = [groups[j], groups[i]];
+    }
+
+    const open = toMcap();
+    let high = open;
+    let low = open;
+    let volumeSol = 0;
+    const trades = [];
+    const devSold = [];
+
+    groups.flat().forEach((order) => {
+      const fill = this.fill(order);
+      if (!fill) return;
+
+      const marketCap = toMcap();
+      high = Math.max(high, marketCap);
+      low = Math.min(low, marketCap);
+      volumeSol += fill.sol;
+      trades.push({ ...fill, marketCap });
+      if (order.agent.type === "dev" && fill.side === "sell") {
+        devSold.push(fill.sol);
+      }
+    });
+
+    const close = toMcap();
+    const events = [...(stage.events || [])];
+    if (stage.dev === "rug" && devSold.length > 0) {
+      events.push({ type: "rug_pull", dropPercent: (1 - low / open) * 100 });
+    } else if (devSold.length > 0) {
+      events.push({
+        type: "dev_sell",
+        sol: devSold.reduce((sum, sol) => sum + sol, 0),
+      });
+    }
+
+    this.momentum = this.momentum * 0.8 + Math.log(close / open) * 0.2;
+
+    return {
+      open,
+      high,
+      low,
+      close,
+      volume: Math.max(volumeSol * g.SOL_PRICE, 1),
+      phase: stage.phase,
+      events,
+      trades,
+    };
+  }
+
+  // Execute one order against the market and update the agent's bag
+  fill(order) {
+    const { agent } = order;
+    const trade =
+      order.side === "buy"
+        ? this.market.buy(order.sol)
+        : this.market.sell(agent.tokens * order.fraction);
+    if (!trade) return null;
+
+    if (trade.side === "buy") {
+      agent.tokens += trade.tokens;
+      agent.boughtTokens += trade.tokens;
+      agent.boughtSol += trade.sol;
+    } else {
+      agent.tokens -= trade.tokens;
+      agent.soldSol += trade.sol;
+    }
+
+    return {
+      agent: agent.id,
+      type: agent.type,
+      side: trade.side,
+      sol: trade.sol,
+      tokens: trade.tokens,
+    };
+  }
+
+  devOrders(agent, stage, minute) {
+    const g = this.generator;
+    const sell = (fraction) => [{ agent, side: "sell", fraction }];
+
+    if (minute === 0 && agent.boughtSol === 0) {
+      return [{ agent, side: "buy", sol: agent.launchSol }];
+    }
+    if (!(agent.tokens > 0)) return [];
+    if (stage.dev === "rug") return sell(1);
+    if (stage.dev === "dump" && g.rng() < 0.3) return sell(0.25);
+    if (stage.dev === "bleed" && g.rng() < 0.08) return sell(0.05);
+    return [];
+  }
+
+  // Buy in the first minutes, take profit at their target multiple
+  sniperOrders(agent, stage, minute) {
+    const g = this.generator;
+
+    if (agent.boughtSol === 0) {
+      return minute >= agent.entryMinute
+        ? [{ agent, side: "buy", sol: agent.entrySol }]
+        : [];
+    }
+    if (agent.tokens > 0 && this.gain(agent) >= agent.targetGain) {
+      return g.rng() < 0.3 ? [{ agent, side: "sell", fraction: 0.5 }] : [];
+    }
+    return [];
+  }
+
+  // Volume bots: buy and sell straight back, net flat apart from fees
+  botOrders(agent, stage) {
+    if (this.generator.rng() >= stage.bots) return [];
+
+    return [
+      { agent, side: "buy", sol: this.orderSize(0.5) },
+      { agent, side: "sell", fraction: 1 },
+    ];
+  }
+
+  whaleOrders(agent, stage) {
+    const g = this.generator;
+    const buy = (median) => [
+      { agent, side: "buy", sol: this.orderSize(median) },
+    ];
+    const sell = (fraction) =>
+      agent.tokens > 0 ? [{ agent, side: "sell", fraction }] : [];
+
+    switch (stage.whales) {
+      case "accumulate":
+        return g.rng() < 0.12 ? buy(1.5) : [];
+      case "pump":
+        return g.rng() < 0.2 ? buy(1) : [];
+      case "distribute":
+        return g.rng() < 0.25 ? sell(0.1) : [];
+      case "dump":
+        return g.rng() < 0.4 ? sell(0.3) : [];
+      default:
+        if (g.rng() < 0.01) return buy(5);
+        return this.gain(agent) > 1.5 && g.rng() < 0.02 ? sell(0.5) : [];
+    }
+  }
+
+  // Holders sell out on weak sentiment, deep losses (panic) or big gains
+  retailOrders(agent, stage) {
+    if (!(agent.tokens > 0)) return [];
+
+    const gain = this.gain(agent);
+    const chance =
+      0.005 +
+      (1 - stage.sentiment) * 0.02 +
+      (gain < 0.7 ? 0.04 : 0) +
+      (gain > 2 ? 0.01 : 0);
+
+    return this.generator.rng() < chance
+      ? [{ agent, side: "sell", fraction: 1 }]
+      : [];
+  }
+}
+
+// Order method per agent type
+TraderSimulation.AGENT_TYPES = {
+  dev: "devOrders",
+  sniper: "sniperOrders",
+  bot: "botOrders",
+  whale: "whaleOrders",
+  retail: "retailOrders",
+};
+
+// Log-normal spread of order sizes per volatility level
+TraderSimulation.SIZE_SPREAD = {
+  low: 0.8,
+  medium: 1.0,
+  high: 1.3,
+  extreme: 1.6,
+};
+
+// Export for use - CommonJS in Node, page global in the browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TraderSimulation;
+} else {
+  window.TraderSimulation = TraderSimulation;
+}
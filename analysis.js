@@ -0,0 +1,83 @@
+// Technical analysis over generated OHLC data
+class ChartAnalyzer {
+  // Swing highs/lows: candles whose high (low) is the extreme of the
+  // `lookback` candles on either side
+  findSwings(data, lookback = 5) {
+    const swings = [];
+
+    for (let i = lookback; i < data.length - lookback; i++) {
+      const window = data.slice(i - lookback, i + lookback + 1);
+
+      if (data[i].high >= Math.max(...window.map((c) => c.high))) {
+        swings.push({ type: "high", index: i, price: data[i].high });
+      }
+      if (data[i].low <= Math.min(...window.map((c) => c.low))) {
+        swings.push({ type: "low", index: i, price: data[i].low });
+      }
+    }
+
+    return swings;
+  }
+
+  // Cluster swing points that sit within `tolerance` of each other into
+  // levels, then score each level by touch count and how recently it was tested
+  detectKeyLevels(data, options = {}) {
+    const {
+      lookback = 5,
+      tolerance = 0.03, // Relative distance that still counts as the same level
+      minTouches = 2,
+      maxLevels = 6,
+    } = options;
+
+    if (!data || data.length === 0) return [];
+
+    const swings = this.findSwings(data, lookback).sort(
+      (a, b) => a.price - b.price
+    );
+
+    // Greedy clustering on sorted prices
+    const clusters = [];
+    swings.forEach((swing) => {
+      const cluster = clusters[clusters.length - 1];
+      if (cluster && (swing.price - cluster.mean) / cluster.mean <= tolerance) {
+        cluster.swings.push(swing);
+        cluster.mean =
+          cluster.swings.reduce((sum, s) => sum + s.price, 0) /
+          cluster.swings.length;
+      } else {
+        clusters.push({ mean: swing.price, swings: [swing] });
+      }
+    });
+
+    const candidates = clusters.filter((c) => c.swings.length >= minTouches);
+    const maxTouches = Math.max(1, ...candidates.map((c) => c.swings.length));
+    const lastIndex = data.length - 1;
+    const lastClose = data[lastIndex].close;
+
+    return candidates
+      .map((cluster) => {
+        const touches = cluster.swings.length;
+        const lastTouchIndex = Math.max(...cluster.swings.map((s) => s.index));
+        const recency = lastIndex > 0 ? lastTouchIndex / lastIndex : 1;
+        const strength = 0.6 * (touches / maxTouches) + 0.4 * recency;
+
+        return {
+          // Levels above the last close act as resistance, below as support
+          type: cluster.mean >= lastClose ? "resistance" : "support",
+          price: cluster.mean,
+          strength: Math.round(strength * 100) / 100,
+          touches,
+          lastTouchIndex,
+        };
+      })
+      .sort((a, b) => b.strength - a.strength)
+      .slice(0, maxLevels);
+  }
+}
+
+// Export for use - CommonJS in Node, page global in the browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ChartAnalyzer;
+} else {
+  window.ChartAnalyzer = ChartAnalyzer;
+}
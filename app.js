@@ -3,89 +3,114 @@ const {
   createChart,
   CandlestickSeries,
   HistogramSeries,
+  LineSeries,
   CrosshairMode,
   LineStyle,
+  createSeriesMarkers,
 } = LightweightCharts;
 
+const CHART_TYPE_LABELS = {
+  full: "Full",
+  pre: "Pre-Bonding",
+  post: "Post-Bonding",
+};
+
+const SCENARIO_LABELS = {
+  organic: "Organic",
+  pump_dump: "Pump & Dump",
+  instant_rug: "Instant Rug",
+  slow_bleed: "Slow Bleed",
+  consolidation: "Consolidation",
+};
+
 // Initialize the app
 let chart = null;
 let candlestickSeries = null;
 let volumeSeries = null;
+let seriesMarkers = null;
 let currentData = null;
+// The chart as read from an imported file, until the next generate
+let importedData = null;
 let generator = null;
+let indicators = null;
+let themes = null;
+let formats = null;
+let replayer = null;
+let indicatorSeries = [];
+
+// Replay: candles shown so far (null = whole chart) and the playback timer
+let replayIndex = null;
+let replayTimer = null;
+
+// Live chart height; exports render at their own fixed size
+const CHART_HEIGHT = 600;
+
+// Candles visible at once when a replay starts
+const REPLAY_WINDOW = 200;
+
+const EXPORT_TYPES = {
+  json: "application/json",
+  ndjson: "application/x-ndjson",
+  csv: "text/csv",
+};
+
+// Line colours per moving-average period and indicator
+const INDICATOR_COLORS = {
+  20: "#f7c948",
+  50: "#4fc3f7",
+  200: "#ba68c8",
+  ema: { 9: "#aed581", 21: "#ff8a65" },
+  vwap: "#ff9800",
+  bollinger: "#78909c",
+  rsi: "#e040fb",
+};
 
 // Initialize chart when DOM is ready
 document.addEventListener("DOMContentLoaded", () => {
   generator = new ChartGenerator();
+  indicators = new TechnicalIndicators();
+  themes = new ChartThemes();
+  formats = new ChartFormats();
+  replayer = new ChartReplay(generator);
   initChart();
   setupEventListeners();
-  generateNewChart();
+  fillModel({});
+
+  // Open the exact chart from a shared link, otherwise start fresh
+  if (!loadFromHash()) generateNewChart();
 });
 
 function initChart() {
   const chartContainer = document.getElementById("chart");
 
+  // Colours and fonts come from the selected style - see applyTheme()
   chart = createChart(chartContainer, {
     width: chartContainer.clientWidth,
-    height: 600,
-    layout: {
-      background: { color: "#131722" },
-      textColor: "#d1d4dc",
-    },
-    grid: {
-      vertLines: { color: "#2a2e39" },
-      horzLines: { color: "#2a2e39" },
-    },
+    height: CHART_HEIGHT,
     crosshair: {
       mode: CrosshairMode.Normal,
     },
     rightPriceScale: {
-      borderColor: "#2a2e39",
       scaleMargins: {
         top: 0.05,
         bottom: 0.15,
       },
     },
     timeScale: {
-      borderColor: "#2a2e39",
       timeVisible: true,
       secondsVisible: false,
     },
   });
 
   // Create candlestick series using the new API
-  candlestickSeries = chart.addSeries(CandlestickSeries, {
-    upColor: "#00ff88",
-    downColor: "#ff4444",
-    borderUpColor: "#00ff88",
-    borderDownColor: "#ff4444",
-    wickUpColor: "#00ff88",
-    wickDownColor: "#ff4444",
-    priceFormat: {
-      type: "custom",
-      formatter: (price) => {
-        if (price >= 1000000) {
-          return "$" + (price / 1000000).toFixed(2) + "M";
-        } else if (price >= 1000) {
-          return "$" + (price / 1000).toFixed(1) + "K";
-        }
-        return "$" + price.toFixed(0);
-      },
-    },
-  });
+  candlestickSeries = chart.addSeries(CandlestickSeries);
+  applyTheme();
+  applyAxisFormat();
 
-  // Volume chart removed - too distracting for price analysis
-  // volumeSeries = chart.addSeries(HistogramSeries, {
-  //   color: "#26a69a",
-  //   priceFormat: {
-  //     type: "volume",
-  //   },
-  //   priceScaleId: "volume",
-  //   scaleMargins: {
-  //     top: 0.85,
-  //     bottom: 0.05,
-  //   },
-  // });
+  // Event markers (bonding transition) drawn on the candles
+  seriesMarkers = createSeriesMarkers(candlestickSeries, []);
+
+  // Volume pane is created on demand - see toggleVolumePane()
 
   // Handle resize
   window.addEventListener("resize", () => {
@@ -93,61 +118,578 @@ function initChart() {
   });
 }
 
+// Y-axis shows either market cap or per-token price
+function isPriceAxis() {
+  return document.getElementById("axisMode").value === "price";
+}
+
+// Chart values are market caps; convert for the current axis
+function toAxis(marketCap) {
+  return isPriceAxis() ? generator.toTokenPrice(marketCap) : marketCap;
+}
+
+function currentTheme() {
+  return themes.get(document.getElementById("style").value);
+}
+
+// Same presets as the image export, so what you see is what you export
+function applyTheme() {
+  const theme = currentTheme();
+  chart.applyOptions(themes.chartOptions(theme));
+  candlestickSeries.applyOptions(themes.candleOptions(theme));
+}
+
+function applyAxisFormat() {
+  candlestickSeries.applyOptions({
+    priceFormat: {
+      type: "custom",
+      minMove: isPriceAxis() ? 1e-12 : 1,
+      formatter: (value) =>
+        isPriceAxis()
+          ? themes.formatTokenPrice(value)
+          : themes.formatMcap(value),
+    },
+  });
+}
+
 function setupEventListeners() {
   document
     .getElementById("generateBtn")
     .addEventListener("click", generateNewChart);
   document.getElementById("exportBtn").addEventListener("click", exportData);
+  document
+    .getElementById("importBtn")
+    .addEventListener("click", () =>
+      document.getElementById("importFile").click()
+    );
+  document.getElementById("importFile").addEventListener("change", importData);
   document
     .getElementById("exportImageBtn")
     .addEventListener("click", exportImage);
+
+  // Editing the seed replays that exact chart
+  document.getElementById("seed").addEventListener("change", (event) => {
+    const seed = event.target.value.trim();
+    if (seed) renderChart(seed);
+  });
+
+  // Key levels are drawn as price lines on top of the current chart
+  document
+    .getElementById("showKeyLevels")
+    .addEventListener("change", () => drawPriceLines(visibleChart()));
+
+  // Scenario only matters when post-bonding candles are generated
+  document
+    .getElementById("chartType")
+    .addEventListener("change", syncScenarioControl);
+  document
+    .getElementById("scenario")
+    .addEventListener("change", syncScenarioControl);
+  document
+    .getElementById("postBondingMode")
+    .addEventListener("change", syncScenarioControl);
+  document
+    .getElementById("simulation")
+    .addEventListener("change", syncScenarioControl);
+
+  // RSI sits below the volume pane, so lift it off while panes change
+  document.getElementById("showVolume").addEventListener("change", () => {
+    drawIndicators(null);
+    toggleVolumePane();
+    drawIndicators(visibleChart());
+  });
+
+  ["showMA", "showEMA", "showVWAP", "showBollinger", "showRSI"].forEach(
+    (id) => {
+      document
+        .getElementById(id)
+        .addEventListener("change", () => drawIndicators(visibleChart()));
+    }
+  );
+
+  // Same seed, so the same underlying chart at another zoom level. Imported
+  // charts are resampled from the file instead, so they are never replaced.
+  document.getElementById("timeframe").addEventListener("change", () => {
+    if (importedData) {
+      resampleImport();
+    } else if (currentData) {
+      renderChart(currentData.seed);
+    }
+  });
+
+  document.getElementById("style").addEventListener("change", () => {
+    applyTheme();
+    if (currentData) updateChart(visibleChart());
+  });
+
+  // Redraw the same chart on the other axis
+  document.getElementById("axisMode").addEventListener("change", () => {
+    applyAxisFormat();
+    updateChart(visibleChart());
+  });
+
+  // Pasting a shared link into an open tab
+  window.addEventListener("hashchange", loadFromHash);
+
+  document.getElementById("playBtn").addEventListener("click", playReplay);
+  document.getElementById("pauseBtn").addEventListener("click", pauseReplay);
+  document.getElementById("stepBtn").addEventListener("click", stepReplay);
+  document.getElementById("freezeBtn").addEventListener("click", freezeReplay);
+  document.getElementById("fullBtn").addEventListener("click", () => {
+    stopReplay();
+    if (currentData) showChart(currentData);
+  });
+  document
+    .getElementById("exportPartialBtn")
+    .addEventListener("click", exportPartial);
+  document.getElementById("replaySpeed").addEventListener("change", () => {
+    if (replayTimer) playReplay();
+  });
+
+  document
+    .getElementById("scriptTemplate")
+    .addEventListener("change", (event) => {
+      if (event.target.value) loadScriptTemplate(event.target.value);
+      event.target.value = "";
+    });
+  document
+    .getElementById("loadScriptBtn")
+    .addEventListener("click", () =>
+      document.getElementById("scriptFile").click()
+    );
+  document.getElementById("scriptFile").addEventListener("change", loadScript);
+  document
+    .getElementById("modelDefaultsBtn")
+    .addEventListener("click", () => fillModel({}));
+}
+
+function syncScenarioControl() {
+  const chartType = document.getElementById("chartType").value;
+  const preOnly = chartType === "pre";
+  const postOnly = chartType === "post";
+  // Agents always trade on the curve and then a free-trading pool
+  const agents = document.getElementById("simulation").value === "agents";
+  const capped = document.getElementById("postBondingMode").value === "capped";
+
+  document.getElementById("scenario").disabled = preOnly;
+  document.getElementById("preBondingEngine").disabled = postOnly || agents;
+  document.getElementById("postBondingMode").disabled = preOnly || agents;
+  // Pump strength only sizes uncapped post-bonding pumps
+  document.getElementById("pumpStrength").disabled =
+    preOnly || capped || agents;
+  // Agent volume is the traded SOL, so it cannot be reshaped
+  document.getElementById("volumeProfile").disabled = agents;
+  // ...and there is no scripted pattern for difficulty to blur
+  document.getElementById("difficulty").disabled = agents;
+
+  // The script editor shows while a custom script would run
+  document.getElementById("scriptEditor").hidden = !usesScenarioScript();
+  if (!document.getElementById("scenarioScript").value) {
+    loadScriptTemplate("pump_dump");
+  }
+}
+
+// Custom scripts drive stochastic post-bonding candles only
+function usesScenarioScript() {
+  return (
+    document.getElementById("scenario").value === "custom" &&
+    document.getElementById("chartType").value !== "pre" &&
+    document.getElementById("simulation").value !== "agents"
+  );
+}
+
+function loadScriptTemplate(name) {
+  document.getElementById("scenarioScript").value = JSON.stringify(
+    ScenarioEngine.BUILT_IN[name],
+    null,
+    2
+  );
+}
+
+// Put a script file in the editor; problems are reported on Generate too
+function loadScript(event) {
+  const [file] = event.target.files;
+  event.target.value = ""; // allow reloading the same file
+  if (!file) return;
+
+  file.text().then((text) => {
+    document.getElementById("scenarioScript").value = text;
+    try {
+      generator.scenarios.parse(text);
+    } catch (error) {
+      alert(`${file.name}: ${error.message}`);
+    }
+  });
+}
+
+// Advanced panel inputs from model overrides, defaults for the rest
+function fillModel(model) {
+  const values = { ...ChartGenerator.MODEL_DEFAULTS, ...model };
+  document.querySelectorAll("[data-model]").forEach((input) => {
+    const { model: key, index } = input.dataset;
+    input.value = index === undefined ? values[key] : values[key][index];
+  });
+}
+
+// Only the values that differ from the defaults, so plain links stay short
+function readModel() {
+  const defaults = ChartGenerator.MODEL_DEFAULTS;
+  const values = JSON.parse(JSON.stringify(defaults));
+  document.querySelectorAll("[data-model]").forEach((input) => {
+    const { model: key, index } = input.dataset;
+    if (input.value === "") return; // Blank keeps the default
+    if (index === undefined) {
+      values[key] = Number(input.value);
+    } else {
+      values[key][index] = Number(input.value);
+    }
+  });
+
+  return Object.fromEntries(
+    Object.entries(values).filter(
+      ([key, value]) => JSON.stringify(value) !== JSON.stringify(defaults[key])
+    )
+  );
 }
 
 function generateNewChart() {
+  renderChart(generator.createSeed());
+}
+
+function renderChart(seed) {
   const options = {
     chartType: document.getElementById("chartType").value,
-    scenario: "organic", // Always organic for pre-bonding
+    scenario: document.getElementById("scenario").value,
     volatility: document.getElementById("volatility").value,
+    simulation: document.getElementById("simulation").value,
+    timeframe: document.getElementById("timeframe").value,
+    preBondingEngine: document.getElementById("preBondingEngine").value,
+    postBondingMode: document.getElementById("postBondingMode").value,
+    seed,
   };
 
+  const pumpStrength = document.getElementById("pumpStrength").value;
+  if (pumpStrength !== "random") {
+    options.initialPumpStrength = Number(pumpStrength);
+  }
+
+  const volumeProfile = document.getElementById("volumeProfile").value;
+  if (volumeProfile !== "default" && options.simulation !== "agents") {
+    options.volumeProfile = volumeProfile;
+  }
+  if (options.simulation !== "agents") {
+    options.difficulty = document.getElementById("difficulty").value;
+  }
+
+  if (usesScenarioScript()) {
+    const text = document.getElementById("scenarioScript").value;
+    try {
+      generator.scenarios.parse(text);
+    } catch (error) {
+      alert(`Could not run the scenario script: ${error.message}`);
+      return;
+    }
+    options.scenarioScript = JSON.parse(text);
+  } else if (options.scenario === "custom") {
+    options.scenario = "random"; // No post-bonding scenario to script
+  }
+
+  options.model = readModel();
+  try {
+    generator.resolveModel(options.model);
+  } catch (error) {
+    alert(`Could not use the model parameters: ${error.message}`);
+    return;
+  }
+
   // Generate new data
   currentData = generator.generate(options);
+  importedData = null;
+
+  // Keep the seed control and the shareable link in sync
+  document.getElementById("seed").value = currentData.seed;
+  updateHash(currentData);
+
+  stopReplay();
+  updateFreezeEvents(currentData);
+  showChart(currentData);
+}
+
+// Chart and info panel for a whole chart or a replay view
+function showChart(chartData) {
+  updateChart(chartData);
+  updateInfo(chartData);
+  updateReplayStatus();
+}
+
+// URL hash holds seed + options, e.g. #seed=k3j9x2a&chartType=pre&volatility=high
+function updateHash(chartData) {
+  const params = new URLSearchParams({
+    seed: chartData.seed,
+    chartType: chartData.options.chartType,
+    scenario: chartData.options.scenario,
+    volatility: chartData.options.volatility,
+    difficulty: chartData.options.difficulty ?? "medium",
+    simulation: chartData.options.simulation,
+    timeframe: chartData.options.timeframe,
+    preBondingEngine: chartData.options.preBondingEngine,
+    postBondingMode: chartData.options.postBondingMode,
+    pumpStrength: chartData.options.initialPumpStrength ?? "random",
+    volumeProfile: chartData.options.volumeProfile ?? "default",
+    style: document.getElementById("style").value,
+  });
+  // Changed model parameters travel with the link
+  const model = chartData.options.model ?? {};
+  if (Object.keys(model).length > 0) {
+    params.set("model", JSON.stringify(model));
+  }
+  // ...and so does a custom scenario script, or the link would run the
+  // editor's default template instead
+  if (chartData.options.scenarioScript) {
+    params.set("script", JSON.stringify(chartData.options.scenarioScript));
+  }
+
+  // replaceState does not fire hashchange, so this never re-renders
+  history.replaceState(null, "", `#${params}`);
+}
+
+function loadFromHash() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const seed = params.get("seed");
+  if (!seed) return false;
+
+  // Before the controls, which fill an empty editor with a template
+  const script = params.get("script");
+  if (script) {
+    try {
+      document.getElementById("scenarioScript").value = JSON.stringify(
+        JSON.parse(script),
+        null,
+        2
+      );
+    } catch (error) {
+      // Left as it came; Generate reports what is wrong with it
+      document.getElementById("scenarioScript").value = script;
+    }
+  }
+
+  setControls(
+    Object.fromEntries(
+      [
+        "chartType",
+        "scenario",
+        "volatility",
+        "difficulty",
+        "simulation",
+        "timeframe",
+        "preBondingEngine",
+        "postBondingMode",
+        "pumpStrength",
+        "volumeProfile",
+        "style",
+      ].map((name) => [name, params.get(name)])
+    )
+  );
+
+  let model = {};
+  try {
+    model = JSON.parse(params.get("model") ?? "{}");
+  } catch (error) {
+    // A mangled link falls back to the default model
+  }
+  fillModel(model);
 
-  // Update chart
-  updateChart(currentData.data);
+  renderChart(seed);
+  return true;
+}
 
-  // Update info panel
-  updateInfo(currentData);
+// Option selects from { id: value }, ignoring missing values and values the
+// current controls do not offer
+function setControls(values) {
+  Object.entries(values).forEach(([name, value]) => {
+    if (value === null || value === undefined) return;
+    const select = document.getElementById(name);
+    if ([...select.options].some((o) => o.value === String(value))) {
+      select.value = String(value);
+    }
+  });
+  syncScenarioControl();
 }
 
-function updateChart(data) {
+function updateChart(chartData) {
+  const { data } = chartData;
+
   // Clear existing data
   candlestickSeries.setData([]);
-  // volumeSeries.setData([]); // Removed
 
+  // Set new data
+  candlestickSeries.setData(data.map(candleBar));
+
+  if (volumeSeries) setVolumeData(data);
+
+  drawPriceLines(chartData);
+  drawIndicators(chartData);
+  drawMarkers(chartData);
+
+  // Fit content
+  chart.timeScale().fitContent();
+}
+
+function candleBar(d) {
+  return {
+    time: d.time,
+    open: toAxis(d.open),
+    high: toAxis(d.high),
+    low: toAxis(d.low),
+    close: toAxis(d.close),
+  };
+}
+
+// Arrow on the first post-bonding candle
+function drawMarkers(chartData) {
+  const { bondingCandleIndex } = chartData.metadata;
+  seriesMarkers.setMarkers(
+    bondingCandleIndex === null
+      ? []
+      : [
+          {
+            time: chartData.data[bondingCandleIndex].time,
+            position: "aboveBar",
+            color: currentTheme().bondingLine,
+            shape: "arrowDown",
+            text: "Bonded",
+          },
+        ]
+  );
+}
+
+// Volume lives in its own pane under the price chart; removing the series
+// removes the pane, so price gets the full height back
+function toggleVolumePane() {
+  const show = document.getElementById("showVolume").checked;
+
+  if (show && !volumeSeries) {
+    volumeSeries = chart.addSeries(
+      HistogramSeries,
+      {
+        priceFormat: {
+          type: "custom",
+          formatter: (value) => themes.formatMcap(value),
+          minMove: 1,
+        },
+        priceLineVisible: false,
+        lastValueVisible: false,
+      },
+      1 // Pane index
+    );
+    chart.panes()[1].setHeight(120);
+    if (currentData) setVolumeData(visibleChart().data);
+  } else if (!show && volumeSeries) {
+    chart.removeSeries(volumeSeries);
+    volumeSeries = null;
+  }
+}
+
+// Bars coloured by candle direction
+function setVolumeData(data) {
+  volumeSeries.setData(data.map(volumeBar));
+}
+
+function volumeBar(d) {
+  const theme = currentTheme();
+  return {
+    time: d.time,
+    value: d.volume,
+    color: d.close >= d.open ? theme.volumeUp : theme.volumeDown,
+  };
+}
+
+// Indicator lines over the price, RSI in its own pane under the volume pane.
+// Everything is recomputed from the candles on screen (current timeframe).
+function drawIndicators(chartData) {
+  indicatorSeries.forEach((series) => chart.removeSeries(series));
+  indicatorSeries = [];
+  if (!chartData) return;
+
+  const { data } = chartData;
+  const values = indicators.compute(data);
+  const isChecked = (id) => document.getElementById(id).checked;
+
+  const addLine = (points, color, { paneIndex = 0, toValue = toAxis } = {}) => {
+    const series = chart.addSeries(
+      LineSeries,
+      {
+        color,
+        lineWidth: 1,
+        priceLineVisible: false,
+        lastValueVisible: false,
+        crosshairMarkerVisible: false,
+      },
+      paneIndex
+    );
+    // Warm-up candles become whitespace
+    series.setData(
+      data.map((d, i) =>
+        points[i] === null
+          ? { time: d.time }
+          : { time: d.time, value: toValue(points[i]) }
+      )
+    );
+    indicatorSeries.push(series);
+    return series;
+  };
+
+  if (isChecked("showMA")) {
+    Object.entries(values.sma).forEach(([period, points]) => {
+      addLine(points, INDICATOR_COLORS[period]);
+    });
+  }
+  if (isChecked("showEMA")) {
+    Object.entries(values.ema).forEach(([period, points]) => {
+      addLine(points, INDICATOR_COLORS.ema[period]);
+    });
+  }
+  if (isChecked("showVWAP")) {
+    addLine(values.vwap, INDICATOR_COLORS.vwap);
+  }
+  if (isChecked("showBollinger")) {
+    ["upper", "middle", "lower"].forEach((band) => {
+      addLine(values.bollinger[band], INDICATOR_COLORS.bollinger);
+    });
+  }
+  if (isChecked("showRSI")) {
+    const paneIndex = volumeSeries ? 2 : 1;
+    const rsi = addLine(values.rsi, INDICATOR_COLORS.rsi, {
+      paneIndex,
+      toValue: (value) => value,
+    });
+    [70, 30].forEach((level) => {
+      rsi.createPriceLine({
+        price: level,
+        color: "#787b86",
+        lineWidth: 1,
+        lineStyle: LineStyle.Dashed,
+        axisLabelVisible: false,
+      });
+    });
+    chart.panes()[paneIndex].setHeight(100);
+  }
+}
+
+function drawPriceLines(chartData) {
   // Clear existing price lines
   candlestickSeries.priceLines().forEach((line) => {
     candlestickSeries.removePriceLine(line);
   });
 
-  // Set new data
-  candlestickSeries.setData(data);
-
-  // Volume data removed - too distracting
-  // const volumeData = data.map((d) => ({
-  //   time: d.time,
-  //   value: d.volume,
-  //   color:
-  //     d.close >= d.open ? "rgba(0, 255, 136, 0.2)" : "rgba(255, 68, 68, 0.2)",
-  // }));
-  // volumeSeries.setData(volumeData);
-
   // Always show bonding line - 100k is the bonding curve ceiling
   // It's always relevant as the theoretical maximum for pre-bonding
+  // (charts exported before the model was recorded used the default)
+  const { model } = chartData.metadata;
   if (true) {
     candlestickSeries.createPriceLine({
-      price: generator.BONDING_MCAP,
-      color: "#ffff00",
+      price: toAxis(model ? model.bondingMcap : generator.BONDING_MCAP),
+      color: currentTheme().bondingLine,
       lineWidth: 2,
       lineStyle: LineStyle.Dashed,
       axisLabelVisible: true,
@@ -155,81 +697,385 @@ function updateChart(data) {
     });
   }
 
-  // Fit content
-  chart.timeScale().fitContent();
+  // Uncapped post-bonding charts run up to their own max market cap (replay
+  // views and CSV imports do not know it)
+  const { maxMarketCap } = chartData.metadata;
+  if (maxMarketCap !== null && maxMarketCap !== undefined) {
+    candlestickSeries.createPriceLine({
+      price: toAxis(maxMarketCap),
+      color: "#ff9800",
+      lineWidth: 1,
+      lineStyle: LineStyle.Dashed,
+      axisLabelVisible: true,
+      title: "Max",
+    });
+  }
+
+  // Detected support/resistance levels, labeled with their strength score
+  if (document.getElementById("showKeyLevels").checked) {
+    chartData.annotations.keyLevels.forEach((level) => {
+      const isSupport = level.type === "support";
+      candlestickSeries.createPriceLine({
+        price: toAxis(level.marketCap),
+        color: isSupport ? "#26a69a" : "#ef5350",
+        lineWidth: 1,
+        lineStyle: LineStyle.Dotted,
+        axisLabelVisible: false,
+        title: `${isSupport ? "S" : "R"} ${level.strength.toFixed(2)}`,
+      });
+    });
+  }
 }
 
 function updateInfo(chartData) {
   const { metadata, scenario, id } = chartData;
 
   document.getElementById("chartId").textContent = id.substr(0, 16) + "...";
-  document.getElementById("scenarioInfo").textContent = "Pre-Bonding";
-
-  // Format market cap values
-  const formatMcap = (value) => {
-    if (value >= 1000000) {
-      return `$${(value / 1000000).toFixed(2)}M`;
-    } else if (value >= 1000) {
-      return `$${(value / 1000).toFixed(1)}K`;
-    }
-    return `$${value.toFixed(0)}`;
-  };
+  // Scenario only applies once there are post-bonding candles, and
+  // imported CSV files record neither
+  const { chartType } = chartData.options;
+  document.getElementById("scenarioInfo").textContent =
+    chartType === undefined
+      ? "-"
+      : chartType === "pre"
+      ? CHART_TYPE_LABELS.pre
+      : `${CHART_TYPE_LABELS[chartType]} · ${
+          SCENARIO_LABELS[scenario] ?? scenario
+        }`;
+  // Charts exported before difficulty levels have none recorded
+  document.getElementById("difficultyInfo").textContent =
+    metadata.difficulty ?? "-";
+  document.getElementById("phaseSplit").textContent = `${
+    metadata.preBondingCandles ?? "-"
+  } / ${metadata.postBondingCandles ?? "-"}`;
 
-  document.getElementById("startMcap").textContent = formatMcap(
+  document.getElementById("startMcap").textContent = themes.formatMcap(
     metadata.startMcap
   );
-  document.getElementById("peakMcap").textContent = formatMcap(
+  document.getElementById("peakMcap").textContent = themes.formatMcap(
     metadata.peakMcap
   );
-  document.getElementById("finalMcap").textContent = formatMcap(
+  document.getElementById("finalMcap").textContent = themes.formatMcap(
     metadata.finalMcap
   );
   document.getElementById("totalCandles").textContent = metadata.totalCandles;
+  updateRealismInfo(metadata.realism);
+}
+
+// Stylized-fact statistics (realism.js); ACF is at lag 1. Charts exported
+// before the report existed show dashes.
+function updateRealismInfo(realism) {
+  const number = (value, digits = 2) =>
+    value === null ? "-" : value.toFixed(digits);
+  const percent = (value) =>
+    value === null ? "-" : `${(value * 100).toFixed(1)}%`;
+  const show = (id, text) => (document.getElementById(id).textContent = text);
+
+  if (!realism) {
+    [
+      "returnMoments",
+      "autocorrelation",
+      "volumeCorrelation",
+      "maxDrawdown",
+      "phaseVolatility",
+    ].forEach((id) => show(id, "-"));
+    return;
+  }
+
+  show(
+    "returnMoments",
+    `${number(realism.skewness)} / ${number(realism.excessKurtosis, 1)}`
+  );
+  show(
+    "autocorrelation",
+    `${number(realism.autocorrelation.returns[1])} / ${number(
+      realism.autocorrelation.absReturns[1]
+    )}`
+  );
+  show("volumeCorrelation", number(realism.volumeReturnCorrelation));
+  show("maxDrawdown", percent(realism.maxDrawdown.percent));
+  show(
+    "phaseVolatility",
+    Object.entries(realism.phases)
+      .map(
+        ([phase, { realizedVolatility }]) =>
+          `${phase} ${percent(realizedVolatility)}`
+      )
+      .join(" · ") || "-"
+  );
+}
+
+// What is on screen: the whole chart, or the candles revealed so far
+function visibleChart() {
+  if (!currentData || replayIndex === null) return currentData;
+  return replayer.partialChart(currentData, replayIndex);
+}
+
+// Playback reveals one candle per tick and pauses at the freeze index
+function playReplay() {
+  if (!currentData) return;
+  if (replayIndex === null || replayIndex >= currentData.data.length) {
+    startReplay(1);
+  }
+
+  clearInterval(replayTimer);
+  const speed = Number(document.getElementById("replaySpeed").value);
+  replayTimer = setInterval(stepReplay, 1000 / speed);
+  updateReplayStatus();
 }
 
+function pauseReplay() {
+  clearInterval(replayTimer);
+  replayTimer = null;
+  updateReplayStatus();
+}
+
+function stopReplay() {
+  pauseReplay();
+  replayIndex = null;
+}
+
+// Redraw with only the first `count` candles. Short replays get a fixed
+// window with room on the right rather than fitContent(), so the first few
+// candles are not blown up to full width.
+function startReplay(count) {
+  replayIndex = count;
+  showChart(visibleChart());
+  if (count < REPLAY_WINDOW) {
+    chart.timeScale().setVisibleLogicalRange({ from: 0, to: REPLAY_WINDOW });
+  }
+}
+
+// Append the next candle with series.update() so the view keeps its zoom;
+// overlays are recomputed from the visible candles only
+function stepReplay() {
+  if (!currentData) return;
+  if (replayIndex === null) {
+    startReplay(1);
+    return;
+  }
+  if (replayIndex >= currentData.data.length) {
+    pauseReplay();
+    return;
+  }
+
+  const candle = currentData.data[replayIndex];
+  candlestickSeries.update(candleBar(candle));
+  if (volumeSeries) volumeSeries.update(volumeBar(candle));
+  replayIndex++;
+
+  const view = visibleChart();
+  drawPriceLines(view);
+  drawIndicators(view);
+  drawMarkers(view);
+  updateInfo(view);
+
+  if (replayIndex === freezeIndex() || replayIndex >= currentData.data.length) {
+    pauseReplay();
+  } else {
+    updateReplayStatus();
+  }
+}
+
+// Candles to show when frozen, e.g. the index of the rug candle to stop
+// just before it; null when the field is empty
+function freezeIndex() {
+  const value = document.getElementById("freezeIndex").value;
+  return value === "" ? null : Number(value);
+}
+
+function freezeReplay() {
+  if (!currentData) return;
+  pauseReplay();
+
+  const count = freezeIndex();
+  if (!(count >= 1 && count <= currentData.data.length)) {
+    alert(`Freeze index must be from 1 to ${currentData.data.length}`);
+    return;
+  }
+  startReplay(count);
+}
+
+function updateReplayStatus() {
+  const status = document.getElementById("replayStatus");
+  if (!currentData || replayIndex === null) {
+    status.textContent = "Full chart";
+  } else {
+    status.textContent = `${replayIndex} / ${currentData.data.length}${
+      replayTimer ? " ▶" : ""
+    }`;
+  }
+}
+
+// Freeze suggestions: stop just before each key event of the chart
+function updateFreezeEvents(chartData) {
+  document.getElementById("freezeEvents").replaceChildren(
+    ...chartData.annotations.events
+      .filter((event) => event.type !== "phase_change" && event.index > 0)
+      .map((event) => {
+        const option = document.createElement("option");
+        option.value = event.index;
+        option.label = `${event.type} (${event.index})`;
+        return option;
+      })
+  );
+}
+
+// The frozen view as a chart file, with the hidden candles as its answer
+function exportPartial() {
+  if (!currentData || replayIndex === null) {
+    alert("Freeze or pause a replay first");
+    return;
+  }
+
+  const partial = replayer.exportPartial(currentData, replayIndex);
+  downloadFile(
+    new Blob([JSON.stringify(partial, null, 2)], { type: EXPORT_TYPES.json }),
+    `chart_${currentData.id}_${currentData.metadata.timeframe}_first${replayIndex}.json`
+  );
+}
+
+// Exported files share the chart id and on-screen timeframe in their name
 function exportData() {
   if (!currentData) return;
 
-  const dataStr = JSON.stringify(currentData, null, 2);
-  const dataUri =
-    "data:application/json;charset=utf-8," + encodeURIComponent(dataStr);
+  const format = document.getElementById("exportFormat").value;
+  const contents = {
+    json: () => JSON.stringify(currentData, null, 2),
+    ndjson: () => formats.toNDJSON(currentData),
+    csv: () => formats.toCSV(currentData),
+  }[format]();
 
-  const exportFileDefaultName = `chart_${currentData.id}.json`;
+  downloadFile(
+    new Blob([contents], { type: EXPORT_TYPES[format] }),
+    `chart_${currentData.id}_${currentData.metadata.timeframe}.${format}`
+  );
+}
 
+function downloadFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
   const linkElement = document.createElement("a");
-  linkElement.setAttribute("href", dataUri);
-  linkElement.setAttribute("download", exportFileDefaultName);
+  linkElement.setAttribute("href", url);
+  linkElement.setAttribute("download", filename);
   linkElement.click();
+
+  // Clean up
+  URL.revokeObjectURL(url);
+}
+
+// Reopen an exported .json/.ndjson/.csv chart. The file is drawn as saved
+// rather than regenerated from its seed, so the link hash is cleared; the
+// controls take the chart's options so Generate carries on from them.
+function importData(event) {
+  const [file] = event.target.files;
+  event.target.value = ""; // allow re-importing the same file
+  if (!file) return;
+
+  file.text().then((text) => {
+    let charts;
+    try {
+      charts = formats.parse(text, file.name);
+    } catch (error) {
+      alert(`Could not import ${file.name}: ${error.message}`);
+      return;
+    }
+
+    const chartData = charts.length === 1 ? charts[0] : pickChart(charts);
+    if (!chartData) return;
+
+    const { options } = chartData;
+    setControls({
+      chartType: options.chartType,
+      scenario: options.scenarioScript ? "custom" : options.scenario,
+      volatility: options.volatility,
+      difficulty: options.difficulty,
+      simulation: options.simulation,
+      timeframe: chartData.metadata.timeframe ?? "1m",
+      preBondingEngine: options.preBondingEngine,
+      postBondingMode: options.postBondingMode,
+      pumpStrength: options.initialPumpStrength ?? "random",
+      volumeProfile: options.volumeProfile ?? "default",
+    });
+    if (options.scenarioScript) {
+      document.getElementById("scenarioScript").value = JSON.stringify(
+        options.scenarioScript,
+        null,
+        2
+      );
+    }
+    fillModel(options.model ?? {});
+
+    importedData = chartData;
+    currentData = chartData;
+    document.getElementById("seed").value = chartData.seed ?? "";
+    history.replaceState(null, "", window.location.pathname);
+
+    stopReplay();
+    updateFreezeEvents(currentData);
+    showChart(currentData);
+  });
 }
 
+// Imported candles on the chosen timeframe. Files only aggregate upward, so
+// a finer timeframe than the file's own is refused.
+function resampleImport() {
+  const select = document.getElementById("timeframe");
+  const resampler = generator.resampler;
+  const fileTimeframe = importedData.metadata.timeframe ?? "1m";
+
+  if (resampler.seconds(select.value) < resampler.seconds(fileTimeframe)) {
+    alert(`This file only has ${fileTimeframe} candles or longer`);
+    select.value = currentData.metadata.timeframe ?? fileTimeframe;
+    return;
+  }
+
+  currentData =
+    select.value === fileTimeframe
+      ? importedData
+      : resampler.resampleChart(importedData, select.value);
+  stopReplay();
+  updateFreezeEvents(currentData);
+  showChart(currentData);
+}
+
+// NDJSON batches hold many charts; ask which one by id or position
+function pickChart(charts) {
+  const answer = prompt(
+    `This file holds ${charts.length} charts. Chart id or number (1-${charts.length}):`,
+    "1"
+  );
+  if (answer === null) return null;
+
+  const chartData =
+    charts.find((c) => c.id === answer.trim()) || charts[Number(answer) - 1];
+  if (!chartData) alert(`No chart "${answer}" in this file`);
+  return chartData || null;
+}
+
+// Render at the exact requested size whatever the window: resize the chart,
+// screenshot it, then put it back. The screenshot is drawn onto a canvas of
+// exactly width x height pixels, which also undoes the display's pixel ratio.
 function exportImage() {
+  if (!currentData) return;
+
+  const { width, height } =
+    ChartThemes.RESOLUTIONS[document.getElementById("resolution").value];
   const chartContainer = document.getElementById("chart");
 
-  // Use html2canvas to capture the chart area
-  html2canvas(chartContainer, {
-    backgroundColor: "#131722", // Match chart background
-    scale: 2, // Higher resolution
-    useCORS: true,
-    allowTaint: false,
-  })
-    .then((canvas) => {
-      // Convert canvas to blob and download
-      canvas.toBlob((blob) => {
-        const url = URL.createObjectURL(blob);
-        const linkElement = document.createElement("a");
-        linkElement.setAttribute("href", url);
-        linkElement.setAttribute(
-          "download",
-          `chart_${currentData?.id || Date.now()}.png`
-        );
-        linkElement.click();
-
-        // Clean up
-        URL.revokeObjectURL(url);
-      }, "image/png");
-    })
-    .catch((error) => {
-      console.error("Error generating chart image:", error);
-      alert("Error generating chart image. Please try again.");
-    });
+  chart.resize(width, height, true);
+  chart.timeScale().fitContent();
+  const screenshot = chart.takeScreenshot();
+  chart.resize(chartContainer.clientWidth, CHART_HEIGHT, true);
+  chart.timeScale().fitContent();
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext("2d");
+  context.imageSmoothingQuality = "high";
+  context.drawImage(screenshot, 0, 0, width, height);
+
+  canvas.toBlob((blob) => {
+    downloadFile(blob, `chart_${currentData.id}_${width}x${height}.png`);
+  }, "image/png");
 }
@@ -0,0 +1,220 @@
+// Test batch generation with weighted scenario, volatility, chart-type and
+// difficulty mixes, and the manifest's QA summary
+class ChartTestSuite {
+  constructor(generator) {
+    const Generator =
+      typeof ChartGenerator !== "undefined"
+        ? ChartGenerator
+        : require("./generator.js");
+
+    this.generator = generator || new Generator({ debug: false });
+
+    const Questions =
+      typeof QuestionGenerator !== "undefined"
+        ? QuestionGenerator
+        : require("./questions.js");
+    this.questions = new Questions();
+  }
+
+  // Split count across weighted keys so the totals always add up exactly
+  // (largest remainder - plain flooring would silently drop charts)
+  allocate(weights, count, label) {
+    const keys = Object.keys(weights);
+    const total = keys.reduce((sum, key) => sum + weights[key], 0);
+
+    keys.forEach((key) => {
+      if (typeof weights[key] !== "number" || weights[key] < 0) {
+        throw new Error(`${label} weight for "${key}" must be a number >= 0`);
+      }
+    });
+    if (!(total > 0)) {
+      throw new Error(`${label} weights must add up to more than 0`);
+    }
+
+    const shares = keys.map((key) => {
+      const exact = (weights[key] / total) * count;
+      return { key, count: Math.floor(exact), remainder: exact % 1 };
+    });
+
+    let missing = count - shares.reduce((sum, s) => sum + s.count, 0);
+    [...shares]
+      .sort((a, b) => b.remainder - a.remainder)
+      .forEach((share) => {
+        if (missing > 0) {
+          share.count++;
+          missing--;
+        }
+      });
+
+    return shares.flatMap((share) => Array(share.count).fill(share.key));
+  }
+
+  // Fisher-Yates shuffle driven by the batch rng
+  shuffle(items, rng) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  // Decide scenario, volatility, chart type, difficulty and seed for every
+  // chart up front, so callers can generate and write one chart at a time
+  planBatch(count = 100, options = {}) {
+    const {
+      seed = this.generator.createSeed(),
+      distribution = ChartTestSuite.DEFAULT_DISTRIBUTION,
+      volatilityMix = { medium: 1 },
+      chartTypeMix = { full: 1 },
+      difficultyMix = { medium: 1 },
+    } = options;
+
+    const scenarios = this.generator.constructor.SCENARIOS;
+    Object.keys(distribution).forEach((scenario) => {
+      if (!scenarios.includes(scenario)) {
+        throw new Error(`Unknown scenario "${scenario}" in distribution`);
+      }
+    });
+
+    const rng = new this.generator.seedrandom(`${seed}:batch`);
+    const scenarioSlots = this.allocate(distribution, count, "Scenario");
+    const volatilitySlots = this.shuffle(
+      this.allocate(volatilityMix, count, "Volatility"),
+      rng
+    );
+    const chartTypeSlots = this.shuffle(
+      this.allocate(chartTypeMix, count, "Chart type"),
+      rng
+    );
+
+    const slots = scenarioSlots.map((scenario, i) => ({
+      scenario,
+      volatility: volatilitySlots[i],
+      chartType: chartTypeSlots[i],
+    }));
+
+    // Difficulty is drawn after everything else, so a seed keeps planning the
+    // same scenarios, volatilities and chart types whatever the mix
+    const shuffled = this.shuffle(slots, rng);
+    const difficultySlots = this.shuffle(
+      this.allocate(difficultyMix, count, "Difficulty"),
+      rng
+    );
+
+    return shuffled.map((slot, i) => ({
+      ...slot,
+      difficulty: difficultySlots[i],
+      seed: `${seed}-${i}`,
+    }));
+  }
+
+  generateTestBatch(count = 100, options = {}) {
+    const {
+      seed,
+      distribution,
+      volatilityMix,
+      chartTypeMix,
+      difficultyMix,
+      ...rest
+    } = options;
+    const plan = this.planBatch(count, {
+      seed,
+      distribution,
+      volatilityMix,
+      chartTypeMix,
+      difficultyMix,
+    });
+
+    return plan.map((slot) => this.generator.generate({ ...rest, ...slot }));
+  }
+
+  // Q&A pairs with gold answers for one chart (questions.js)
+  generateTestQuestions(chart) {
+    return this.questions.generate(chart);
+  }
+
+  // Manifest row: enough to find, replay and balance charts without opening them
+  manifestEntry(chart, file) {
+    const { metadata, options } = chart;
+
+    return {
+      id: chart.id,
+      file,
+      seed: chart.seed,
+      scenario: chart.scenario,
+      chartType: options.chartType,
+      volatility: options.volatility,
+      difficulty: metadata.difficulty,
+      timeframe: metadata.timeframe,
+      totalCandles: metadata.totalCandles,
+      startMcap: metadata.startMcap,
+      peakMcap: metadata.peakMcap,
+      minMcap: metadata.minMcap,
+      finalMcap: metadata.finalMcap,
+      realism: this.generator.realism.headline(metadata.realism),
+    };
+  }
+
+  buildManifest(entries, batchInfo = {}) {
+    const countBy = (field) =>
+      entries.reduce((counts, entry) => {
+        counts[entry[field]] = (counts[entry[field]] || 0) + 1;
+        return counts;
+      }, {});
+
+    return {
+      ...batchInfo,
+      count: entries.length,
+      summary: {
+        scenario: countBy("scenario"),
+        volatility: countBy("volatility"),
+        chartType: countBy("chartType"),
+        difficulty: countBy("difficulty"),
+      },
+      qualityMetrics: this.qualityMetrics(entries),
+      charts: entries,
+    };
+  }
+
+  // Batch QA after the spec's qualityMetrics (FrontEndSandbox.md section
+  // 10): stylized facts and realism statistics across the charts, and how
+  // much chart length varies
+  qualityMetrics(entries) {
+    const stats = this.generator.stats;
+    const candles = entries.map((entry) => entry.totalCandles);
+
+    return {
+      realism: this.generator.realism.summarize(
+        entries.map((entry) => entry.realism)
+      ),
+      variety: {
+        durationVariance:
+          candles.length === 0
+            ? null
+            : {
+                mean: stats.mean(candles),
+                stdev: stats.standardDeviation(candles),
+                min: stats.min(candles),
+                max: stats.max(candles),
+              },
+      },
+    };
+  }
+}
+
+// Scenario weights from FrontEndSandbox.md section 3
+ChartTestSuite.DEFAULT_DISTRIBUTION = {
+  instant_rug: 20,
+  pump_dump: 25,
+  organic: 25,
+  slow_bleed: 15,
+  consolidation: 15,
+};
+
+// Export for use - CommonJS in Node, page global in the browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ChartTestSuite;
+} else {
+  window.ChartTestSuite = ChartTestSuite;
+}
@@ -0,0 +1,601 @@
+#!/usr/bin/env node
+// pumpintel - headless batch chart generation for dataset pipelines
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const {
+  ChartGenerator,
+  ChartTestSuite,
+  PatternLibrary,
+  CandleValidator,
+  CandleResampler,
+  ChartThemes,
+  ChartFormats,
+  ChartReplay,
+  QuestionGenerator,
+  AnswerScorer,
+  ScenarioEngine,
+} = require("../index.js");
+
+const USAGE = `Usage: pumpintel <command> [options]
+
+Commands:
+  generate    Generate charts and write one JSON file per chart plus a manifest
+              (with a realism QA summary of the batch)
+  batch       Generate a shuffled test batch with weighted scenario, volatility,
+              chart-type and difficulty mixes
+  render      Draw chart JSON files (or whole directories of them) to PNG
+  score       Score model answers against a dataset's gold answers
+
+Generate options:
+  --count <n>          Number of charts (default: 1)
+  --scenario <name>    organic | pump_dump | instant_rug | slow_bleed |
+                       consolidation | random (default: random)
+  --scenario-file <f>  Run a JSON scenario script instead (see README)
+  --chart-type <type>  full | pre | post (default: full)
+  --volatility <level> low | medium | high | extreme (default: medium)
+  --difficulty <level> easy | medium | hard | adversarial (default: medium);
+                       how much noise and ambiguity hides each pattern
+
+Batch options:
+  --count <n>               Number of charts (default: 100)
+  --distribution <weights>  Scenario weights, e.g. instant_rug=20,pump_dump=25
+                            (default: the FrontEndSandbox.md distribution)
+  --volatility-mix <weights>  e.g. low=1,medium=2,high=1 (default: medium=1)
+  --chart-type-mix <weights>  e.g. full=3,post=1 (default: full=1)
+  --difficulty-mix <weights>  e.g. easy=1,hard=1 (default: medium=1)
+
+Common options:
+  --seed <seed>        Base seed; chart i uses "<seed>-<i>" (default: random)
+  --start-time <unix>  First candle timestamp in seconds
+  --out <dir>          Output directory (default: ./charts)
+  --questions          Also write evaluation Q&A pairs as JSONL:
+                       <chart id>.questions.jsonl next to each chart
+                       (questions.jsonl for --format ndjson), and the
+                       cropped chart of each next_candles question as
+                       views/<chart id>.next_candles.json
+  --format <fmt>       json (one file per chart) | ndjson (every chart in
+                       charts.ndjson, one per line) | csv (one file per chart,
+                       one row per candle) (default: json)
+  --validation <mode>  repair | report | throw (default: repair)
+  --volume-profile <p> increasing | decreasing | stable | sporadic
+                       (default: each scenario's own volume model)
+  --timeframe <tf>     1m | 5m | 15m | 1h | 4h (default: 1m); same seed, same
+                       underlying 1-minute chart
+
+Simulation options:
+  --simulation <mode>          stochastic | agents (default: stochastic)
+                               agents builds candles from simulated snipers,
+                               bots, whales, retail and the dev wallet
+
+Pre-bonding options:
+  --pre-bonding-engine <name>  random_walk | curve (default: random_walk)
+                               curve simulates buy/sell trades on the
+                               bonding curve; patterns need random_walk
+
+Post-bonding options:
+  --post-bonding <mode>    capped | uncapped (default: capped at $100k)
+  --max-mcap <usd>         Uncapped ceiling (default: random $1M-$2M)
+  --pump-strength <x>      Uncapped pump multiplier, e.g. 1.5, 2, 3, 5, 10
+                           (default: random pick)
+
+Render options (pumpintel render <dir|file.json>... [options]):
+  --out <dir>          Output directory (default: next to each JSON file)
+  --width <px>         Image width (default: 1920)
+  --height <px>        Image height (default: 1080)
+  --style <name>       default | tradingview | binance | coinbase | custom
+                       (default: default)
+  --volume             Draw the volume pane
+  --axis <mode>        mcap | price (default: mcap)
+  --font <file>        TTF/OTF file for labels, for identical output across
+                       machines (default: the style's system font)
+
+Score options (pumpintel score --dataset <dir> --predictions <file>):
+  --dataset <dir>        Batch directory with manifest.json
+  --predictions <file>   JSONL (or a JSON array) of { chartId, questionId,
+                         answer }
+  --report <file>        Also write the full report (every answer) as JSON
+
+Pattern options (injected into the pre-bonding path):
+  --fakeouts <n>           Failed breakouts per chart
+  --accumulations <n>      Accumulation zones with a volume spike per chart
+  --patterns <counts>      e.g. bart=1,stop_hunt=2,whipsaw=1,double_top=1
+  --pattern-strength <x>   Pattern size multiplier (default: 1)
+`;
+
+const CHART_TYPES = ["full", "pre", "post"];
+const VOLATILITIES = ["low", "medium", "high", "extreme"];
+const DIFFICULTIES = Object.keys(ChartGenerator.DIFFICULTIES);
+
+const COMMON_OPTIONS = {
+  seed: { type: "string" },
+  "start-time": { type: "string" },
+  out: { type: "string", default: "./charts" },
+  format: { type: "string", default: "json" },
+  questions: { type: "boolean", default: false },
+  validation: { type: "string", default: "repair" },
+  timeframe: { type: "string", default: "1m" },
+  "volume-profile": { type: "string" },
+  simulation: { type: "string", default: "stochastic" },
+  "pre-bonding-engine": { type: "string", default: "random_walk" },
+  "post-bonding": { type: "string", default: "capped" },
+  "max-mcap": { type: "string" },
+  "pump-strength": { type: "string" },
+  fakeouts: { type: "string" },
+  accumulations: { type: "string" },
+  patterns: { type: "string" },
+  "pattern-strength": { type: "string" },
+};
+
+const GENERATE_OPTIONS = {
+  ...COMMON_OPTIONS,
+  count: { type: "string", default: "1" },
+  scenario: { type: "string", default: "random" },
+  "scenario-file": { type: "string" },
+  "chart-type": { type: "string", default: "full" },
+  volatility: { type: "string", default: "medium" },
+  difficulty: { type: "string", default: "medium" },
+};
+
+const BATCH_OPTIONS = {
+  ...COMMON_OPTIONS,
+  count: { type: "string", default: "100" },
+  distribution: { type: "string" },
+  "volatility-mix": { type: "string" },
+  "chart-type-mix": { type: "string" },
+  "difficulty-mix": { type: "string" },
+};
+
+const RENDER_OPTIONS = {
+  out: { type: "string" },
+  width: { type: "string", default: "1920" },
+  height: { type: "string", default: "1080" },
+  style: { type: "string", default: "default" },
+  volume: { type: "boolean", default: false },
+  axis: { type: "string", default: "mcap" },
+  font: { type: "string" },
+};
+
+const SCORE_OPTIONS = {
+  dataset: { type: "string" },
+  predictions: { type: "string" },
+  report: { type: "string" },
+};
+
+function checkChoice(flag, value, choices) {
+  if (!choices.includes(value)) {
+    throw new Error(`--${flag} must be one of ${choices.join(", ")}`);
+  }
+}
+
+function parsePositiveInt(flag, value) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`--${flag} must be a positive integer, got "${value}"`);
+  }
+  return count;
+}
+
+// Whole and not negative: Unix seconds (so timestamps and ids stay valid)
+// and pattern counts
+function parseWholeNumber(flag, value) {
+  const number = Number(value);
+  if (value.trim() === "" || !Number.isInteger(number) || number < 0) {
+    throw new Error(`--${flag} must be a whole number >= 0, got "${value}"`);
+  }
+  return number;
+}
+
+// "low=1,high=2" -> { low: 1, high: 2 }
+function parseWeights(flag, value, choices) {
+  const weights = {};
+
+  value.split(",").forEach((pair) => {
+    const [key, weight] = pair.split("=").map((part) => part.trim());
+    checkChoice(flag, key, choices);
+    weights[key] = Number(weight);
+    if (!Number.isFinite(weights[key])) {
+      throw new Error(`--${flag} weight for "${key}" must be a number`);
+    }
+  });
+
+  return weights;
+}
+
+function parseNumber(flag, value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`--${flag} must be a number >= 0, got "${value}"`);
+  }
+  return number;
+}
+
+function commonGenerateOptions(values) {
+  checkChoice("validation", values.validation, CandleValidator.POLICIES);
+  checkChoice(
+    "post-bonding",
+    values["post-bonding"],
+    ChartGenerator.POST_BONDING_MODES
+  );
+  checkChoice("simulation", values.simulation, ChartGenerator.SIMULATIONS);
+  checkChoice(
+    "timeframe",
+    values.timeframe,
+    Object.keys(CandleResampler.TIMEFRAMES)
+  );
+  checkChoice(
+    "pre-bonding-engine",
+    values["pre-bonding-engine"],
+    ChartGenerator.PRE_BONDING_ENGINES
+  );
+  const options = {
+    validation: values.validation,
+    simulation: values.simulation,
+    timeframe: values.timeframe,
+    preBondingEngine: values["pre-bonding-engine"],
+    postBondingMode: values["post-bonding"],
+  };
+  if (values["start-time"] !== undefined) {
+    options.startTime = parseWholeNumber("start-time", values["start-time"]);
+  }
+  if (values["volume-profile"] !== undefined) {
+    checkChoice(
+      "volume-profile",
+      values["volume-profile"],
+      ChartGenerator.VOLUME_PROFILES
+    );
+    options.volumeProfile = values["volume-profile"];
+  }
+  if (values["max-mcap"] !== undefined) {
+    options.maxMarketCap = parseNumber("max-mcap", values["max-mcap"]);
+  }
+  if (values["pump-strength"] !== undefined) {
+    options.initialPumpStrength = parseNumber(
+      "pump-strength",
+      values["pump-strength"]
+    );
+  }
+
+  const patterns = {};
+  if (values.patterns) {
+    patterns.counts = parseWeights(
+      "patterns",
+      values.patterns,
+      Object.keys(PatternLibrary.PATTERNS)
+    );
+    Object.entries(patterns.counts).forEach(([type, count]) => {
+      if (!Number.isInteger(count) || count < 0) {
+        throw new Error(
+          `--patterns count for "${type}" must be a whole number >= 0`
+        );
+      }
+    });
+  }
+  if (values.fakeouts !== undefined) {
+    patterns.fakeoutCount = parseWholeNumber("fakeouts", values.fakeouts);
+  }
+  if (values.accumulations !== undefined) {
+    patterns.accumulationPeriods = parseWholeNumber(
+      "accumulations",
+      values.accumulations
+    );
+  }
+  if (values["pattern-strength"] !== undefined) {
+    patterns.strength = parseNumber(
+      "pattern-strength",
+      values["pattern-strength"]
+    );
+  }
+  if (Object.keys(patterns).length > 0) options.patterns = patterns;
+
+  return options;
+}
+
+// Generate and write one chart at a time so large batches stay out of memory
+function writeBatch(plan, options, outDir, batchInfo, output) {
+  const { format, questions: writeQuestions } = output;
+  checkChoice("format", format, ChartFormats.FORMATS);
+  const suite = new ChartTestSuite();
+  const formats = new ChartFormats();
+  const replay = new ChartReplay(suite.generator);
+  fs.mkdirSync(outDir, { recursive: true });
+  const viewsDir = "views";
+  if (writeQuestions) {
+    fs.mkdirSync(path.join(outDir, viewsDir), { recursive: true });
+  }
+
+  // NDJSON batches (and their questions) go to a single file, appended
+  // chart by chart
+  const ndjsonFile = "charts.ndjson";
+  const questionsFile = "questions.jsonl";
+  if (format === "ndjson") {
+    fs.writeFileSync(path.join(outDir, ndjsonFile), "");
+    if (writeQuestions) fs.writeFileSync(path.join(outDir, questionsFile), "");
+  }
+
+  const entries = plan.map((slot) => {
+    const chart = suite.generator.generate({ ...options, ...slot });
+    let file = `${chart.id}.${format}`;
+
+    if (format === "ndjson") {
+      file = ndjsonFile;
+      fs.appendFileSync(path.join(outDir, file), formats.toNDJSON(chart));
+    } else {
+      const contents =
+        format === "csv"
+          ? formats.toCSV(chart)
+          : JSON.stringify(chart, null, 2);
+      fs.writeFileSync(path.join(outDir, file), contents);
+    }
+    const entry = suite.manifestEntry(chart, file);
+
+    if (writeQuestions) {
+      const questions = suite.generateTestQuestions(chart);
+      // Questions that show only the first candles point at that cropped
+      // chart, which `render` turns into the image to show
+      questions
+        .filter((question) => question.visibleCandles !== undefined)
+        .forEach((question) => {
+          question.view = `${viewsDir}/${chart.id}.${question.questionId}.json`;
+          const view = replay.candleView(chart, question.visibleCandles);
+          fs.writeFileSync(
+            path.join(outDir, question.view),
+            JSON.stringify(view, null, 2)
+          );
+        });
+      const lines = suite.questions.toJSONL(questions);
+      if (format === "ndjson") {
+        entry.questions = questionsFile;
+        fs.appendFileSync(path.join(outDir, questionsFile), lines);
+      } else {
+        entry.questions = `${chart.id}.questions.jsonl`;
+        fs.writeFileSync(path.join(outDir, entry.questions), lines);
+      }
+    }
+    return entry;
+  });
+
+  const manifestFile = path.join(outDir, "manifest.json");
+  const manifest = suite.buildManifest(entries, batchInfo);
+  fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2));
+
+  console.log(`Wrote ${entries.length} chart(s) and ${manifestFile}`);
+  console.log(
+    suite.generator.realism.formatSummary(manifest.qualityMetrics.realism)
+  );
+}
+
+// Checked script, kept as written so chart options replay it exactly
+function readScenarioScript(file) {
+  const text = fs.readFileSync(file, "utf8");
+  try {
+    new ScenarioEngine().parse(text);
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+  return JSON.parse(text);
+}
+
+function generateCommand(args) {
+  const { values } = parseArgs({ args, options: GENERATE_OPTIONS });
+
+  const count = parsePositiveInt("count", values.count);
+  checkChoice("scenario", values.scenario, [
+    ...ChartGenerator.SCENARIOS,
+    "random",
+  ]);
+  checkChoice("chart-type", values["chart-type"], CHART_TYPES);
+  checkChoice("volatility", values.volatility, VOLATILITIES);
+  checkChoice("difficulty", values.difficulty, DIFFICULTIES);
+
+  const seed = values.seed || new ChartGenerator().createSeed();
+  const slot = {
+    chartType: values["chart-type"],
+    scenario: values.scenario,
+    volatility: values.volatility,
+    difficulty: values.difficulty,
+  };
+  const options = commonGenerateOptions(values);
+  if (values["scenario-file"] !== undefined) {
+    options.scenarioScript = readScenarioScript(values["scenario-file"]);
+  }
+
+  const plan = Array.from({ length: count }, (_, i) => ({
+    ...slot,
+    seed: `${seed}-${i}`,
+  }));
+
+  writeBatch(
+    plan,
+    options,
+    values.out,
+    { seed, options: { ...slot, ...options } },
+    { format: values.format, questions: values.questions }
+  );
+}
+
+function batchCommand(args) {
+  const { values } = parseArgs({ args, options: BATCH_OPTIONS });
+  const suite = new ChartTestSuite();
+
+  const count = parsePositiveInt("count", values.count);
+  const seed = values.seed || suite.generator.createSeed();
+  const mixes = {
+    distribution: values.distribution
+      ? parseWeights(
+          "distribution",
+          values.distribution,
+          ChartGenerator.SCENARIOS
+        )
+      : ChartTestSuite.DEFAULT_DISTRIBUTION,
+    volatilityMix: values["volatility-mix"]
+      ? parseWeights("volatility-mix", values["volatility-mix"], VOLATILITIES)
+      : { medium: 1 },
+    chartTypeMix: values["chart-type-mix"]
+      ? parseWeights("chart-type-mix", values["chart-type-mix"], CHART_TYPES)
+      : { full: 1 },
+    difficultyMix: values["difficulty-mix"]
+      ? parseWeights("difficulty-mix", values["difficulty-mix"], DIFFICULTIES)
+      : { medium: 1 },
+  };
+  const options = commonGenerateOptions(values);
+
+  const plan = suite.planBatch(count, { seed, ...mixes });
+
+  writeBatch(
+    plan,
+    options,
+    values.out,
+    { seed, ...mixes, options },
+    { format: values.format, questions: values.questions }
+  );
+}
+
+// Chart JSON files from the arguments; directories contribute every *.json
+// inside them. Batch manifests are skipped so "dir/*.json" works too.
+function chartFiles(inputs) {
+  return inputs
+    .flatMap((input) =>
+      fs.statSync(input).isDirectory()
+        ? fs
+            .readdirSync(input)
+            .filter((file) => file.endsWith(".json"))
+            .sort()
+            .map((file) => path.join(input, file))
+        : [input]
+    )
+    .filter((file) => path.basename(file) !== "manifest.json");
+}
+
+function renderCommand(args) {
+  // Only rendering needs the native canvas module
+  const { ChartRenderer } = require("../index.js");
+  const { values, positionals } = parseArgs({
+    args,
+    options: RENDER_OPTIONS,
+    allowPositionals: true,
+  });
+
+  if (positionals.length === 0) {
+    throw new Error("give at least one chart JSON file or directory");
+  }
+  checkChoice("style", values.style, Object.keys(ChartThemes.PRESETS));
+  checkChoice("axis", values.axis, ChartRenderer.AXES);
+
+  const renderer = new ChartRenderer({
+    width: parsePositiveInt("width", values.width),
+    height: parsePositiveInt("height", values.height),
+    style: values.style,
+    showVolume: values.volume,
+    axis: values.axis,
+    fontPath: values.font,
+  });
+  if (values.out) fs.mkdirSync(values.out, { recursive: true });
+
+  // One chart in memory at a time
+  const files = chartFiles(positionals);
+  files.forEach((file) => {
+    const chart = JSON.parse(fs.readFileSync(file, "utf8"));
+    const image = path.join(
+      values.out || path.dirname(file),
+      `${path.basename(file, ".json")}.png`
+    );
+    fs.writeFileSync(image, renderer.render(chart));
+  });
+
+  console.log(`Rendered ${files.length} chart(s)`);
+}
+
+// A JSON array, a single JSON document, or one JSON value per line
+function readJSONL(file) {
+  const text = fs.readFileSync(file, "utf8").trim();
+  try {
+    const value = JSON.parse(text);
+    return Array.isArray(value) ? value : [value];
+  } catch (error) {
+    return text
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  }
+}
+
+// Gold questions for every chart in the manifest: the batch's question files
+// when it was written with --questions, otherwise built from the charts
+function datasetQuestions(dir, manifest) {
+  const questions = new QuestionGenerator();
+  const read = new Set();
+
+  return manifest.charts.flatMap((entry) => {
+    const file = entry.questions || entry.file;
+    if (read.has(file)) return [];
+    read.add(file);
+
+    const fullPath = path.join(dir, file);
+    if (entry.questions) return readJSONL(fullPath);
+    if (file.endsWith(".csv")) {
+      throw new Error(
+        `${file}: CSV charts have no annotations; write the batch with --questions`
+      );
+    }
+    return readJSONL(fullPath).flatMap((chart) => questions.generate(chart));
+  });
+}
+
+function scoreCommand(args) {
+  const { values } = parseArgs({ args, options: SCORE_OPTIONS });
+  if (!values.dataset || !values.predictions) {
+    throw new Error("--dataset and --predictions are required");
+  }
+
+  const manifest = JSON.parse(
+    fs.readFileSync(path.join(values.dataset, "manifest.json"), "utf8")
+  );
+  const charts = Object.fromEntries(
+    manifest.charts.map((entry) => [entry.id, entry])
+  );
+  const scorer = new AnswerScorer();
+  const report = scorer.evaluate(
+    datasetQuestions(values.dataset, manifest),
+    readJSONL(values.predictions),
+    charts
+  );
+
+  if (values.report) {
+    fs.writeFileSync(values.report, JSON.stringify(report, null, 2));
+  }
+  console.log(scorer.formatSummary(report));
+}
+
+const COMMANDS = {
+  generate: generateCommand,
+  batch: batchCommand,
+  render: renderCommand,
+  score: scoreCommand,
+};
+
+function main(argv) {
+  const [command, ...args] = argv;
+
+  if (!command || command === "help" || command === "--help") {
+    console.log(USAGE);
+    return;
+  }
+
+  const run = COMMANDS[command];
+  if (!run) {
+    console.error(`Unknown command "${command}"\n`);
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    run(args);
+  } catch (error) {
+    console.error(`pumpintel ${command}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main(process.argv.slice(2));
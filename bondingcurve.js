@@ -0,0 +1,99 @@
+// Constant-product bonding curve with virtual reserves (pump.fun style).
+// Reserves are in SOL and tokens; virtualSol * virtualTokens stays constant
+// across trades, and the curve graduates once `realTokens` have been sold.
+class BondingCurve {
+  constructor(settings = {}) {
+    this.initialVirtualSol = settings.virtualSol ?? 30;
+    this.initialVirtualTokens = settings.virtualTokens ?? 1073000000;
+    this.realTokens = settings.realTokens ?? 793100000; // Sold before graduation
+    this.totalSupply = settings.totalSupply ?? 1000000000;
+    this.feeRate = settings.feeRate ?? 0.01; // Taken from the SOL side
+    // Tokens already out in wallets - lets a graduated pool (realTokens:
+    // Infinity) carry on from where the curve stopped
+    this.initialTokensSold = settings.tokensSold ?? 0;
+
+    this.k = this.initialVirtualSol * this.initialVirtualTokens;
+    this.reset();
+  }
+
+  reset() {
+    this.virtualSol = this.initialVirtualSol;
+    this.virtualTokens = this.initialVirtualTokens;
+    this.tokensSold = this.initialTokensSold;
+  }
+
+  // SOL per token at the current reserves
+  price() {
+    return this.virtualSol / this.virtualTokens;
+  }
+
+  marketCapSol() {
+    return this.price() * this.totalSupply;
+  }
+
+  // Market cap the curve graduates at, for converting to a USD target
+  graduationMarketCapSol() {
+    const tokens = this.initialVirtualTokens - this.realTokens;
+    return (this.k / tokens / tokens) * this.totalSupply;
+  }
+
+  // 0 at launch, 1 once every real token is sold
+  progress() {
+    return this.tokensSold / this.realTokens;
+  }
+
+  isComplete() {
+    return this.tokensSold >= this.realTokens;
+  }
+
+  // Spend `solIn` (fee included). The buy that completes the curve is
+  // clipped to the tokens left, so it may spend less than asked.
+  buy(solIn) {
+    const remaining = this.realTokens - this.tokensSold;
+    if (!(solIn > 0) || remaining <= 0) return null;
+
+    let net = solIn * (1 - this.feeRate);
+    let tokensOut = this.virtualTokens - this.k / (this.virtualSol + net);
+    if (tokensOut >= remaining) {
+      tokensOut = remaining;
+      net = this.k / (this.virtualTokens - tokensOut) - this.virtualSol;
+    }
+
+    return this.apply("buy", net / (1 - this.feeRate), tokensOut, net);
+  }
+
+  // Sell `tokensIn` back into the curve (capped at the tokens sold so far)
+  sell(tokensIn) {
+    const tokens = Math.min(tokensIn, this.tokensSold);
+    if (!(tokens > 0)) return null;
+
+    const gross = this.virtualSol - this.k / (this.virtualTokens + tokens);
+    return this.apply("sell", gross * (1 - this.feeRate), -tokens, -gross);
+  }
+
+  // Move the reserves; `solDelta` is the SOL that reaches the curve
+  apply(side, sol, tokensOut, solDelta) {
+    const priceBefore = this.price();
+
+    this.virtualSol += solDelta;
+    this.virtualTokens -= tokensOut;
+    this.tokensSold += tokensOut;
+
+    return {
+      side,
+      sol, // Paid by the buyer / received by the seller
+      tokens: Math.abs(tokensOut),
+      priceBefore,
+      priceAfter: this.price(),
+      // Price change caused by this one trade
+      impact: this.price() / priceBefore - 1,
+    };
+  }
+}
+
+// Export for use - CommonJS in Node, page global in the browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = BondingCurve;
+} else {
+  window.BondingCurve = BondingCurve;
+}
@@ -0,0 +1,234 @@
+// Score model answers against the gold answers from questions.js. Each
+// answer gets a score from 0 to 1 using its question's answerType and
+// tolerance; accuracy is the mean score, sliced by question, scenario,
+// volatility, chart type, question difficulty and chart difficulty.
+class AnswerScorer {
+  // { score, correct, error? } for one answer; missing answers score 0, as
+  // do answers the scorer cannot read (marked unrecognized)
+  scoreAnswer(question, answer) {
+    if (answer === undefined || answer === null || answer === "") {
+      return { score: 0, correct: false, missing: true };
+    }
+
+    const scorer = AnswerScorer.SCORERS[question.answerType];
+    if (!scorer) {
+      throw new Error(`Unknown answerType "${question.answerType}"`);
+    }
+    return this[scorer](question, answer);
+  }
+
+  // Exact match, ignoring case and surrounding spaces
+  scoreChoice(question, answer) {
+    const normalize = (value) => String(value).trim().toLowerCase();
+    const correct = normalize(answer) === normalize(question.answer);
+    return { score: correct ? 1 : 0, correct };
+  }
+
+  // true/false, or yes/no as text; anything else is wrong whatever the gold
+  // answer, so a hedge like "maybe" never scores
+  scoreBoolean(question, answer) {
+    let value = answer;
+    if (typeof answer !== "boolean") {
+      const word = String(answer).trim().toLowerCase();
+      if (AnswerScorer.TRUE_WORDS.includes(word)) {
+        value = true;
+      } else if (AnswerScorer.FALSE_WORDS.includes(word)) {
+        value = false;
+      } else {
+        return { score: 0, correct: false, unrecognized: true };
+      }
+    }
+    const correct = value === question.answer;
+    return { score: correct ? 1 : 0, correct };
+  }
+
+  // Candle index within tolerance.candles of the event
+  scoreIndex(question, answer) {
+    const value = this.parseNumber(answer);
+    if (value === null) return { score: 0, correct: false, unrecognized: true };
+    const error = Math.abs(value - question.answer);
+    const correct = error <= question.tolerance.candles;
+    return { score: correct ? 1 : 0, correct, error };
+  }
+
+  // Relative error within tolerance.relative
+  scoreNumber(question, answer) {
+    const value = this.parseNumber(answer);
+    if (value === null) return { score: 0, correct: false, unrecognized: true };
+    const gold = question.answer;
+    const difference = Math.abs(value - gold);
+    const error = gold === 0 ? difference : difference / Math.abs(gold);
+    const correct = error <= question.tolerance.relative;
+    return { score: correct ? 1 : 0, correct, error };
+  }
+
+  // A number, or text such as "42.5%" or " 17 "; null for anything else
+  // (so an empty list is not read as 0)
+  parseNumber(answer) {
+    let value = answer;
+    if (typeof answer === "string") {
+      value = parseFloat(answer.replace(/%/g, "").trim());
+    } else if (typeof answer !== "number") {
+      return null;
+    }
+    return Number.isFinite(value) ? value : null;
+  }
+
+  // Support/resistance levels: each gold level is matched to the nearest
+  // unused predicted level (same type when the prediction gives one) within
+  // tolerance.relative. Score is the F1 of precision and recall.
+  scoreLevels(question, answer) {
+    const predicted = (Array.isArray(answer) ? answer : [answer]).map((level) =>
+      level && typeof level === "object"
+        ? { type: level.type, marketCap: Number(level.marketCap) }
+        : { marketCap: Number(level) }
+    );
+    const gold = question.answer;
+    const used = new Set();
+
+    gold.forEach((level) => {
+      let best = null;
+      predicted.forEach((guess, i) => {
+        if (used.has(i) || (guess.type && guess.type !== level.type)) return;
+        const error =
+          Math.abs(guess.marketCap - level.marketCap) / level.marketCap;
+        if (
+          error <= question.tolerance.relative &&
+          (!best || error < best.error)
+        ) {
+          best = { i, error };
+        }
+      });
+      if (best) used.add(best.i);
+    });
+
+    const matched = used.size;
+    const precision = predicted.length > 0 ? matched / predicted.length : 0;
+    const recall = gold.length > 0 ? matched / gold.length : 0;
+    const score =
+      precision + recall > 0
+        ? (2 * precision * recall) / (precision + recall)
+        : 0;
+
+    return { score, correct: score === 1, precision, recall };
+  }
+
+  // questions: gold questions from questions.js
+  // predictions: [{ chartId, questionId, answer }]
+  // charts: { [chartId]: { scenario, volatility, chartType, difficulty } }
+  // from the manifest, for slicing
+  evaluate(questions, predictions, charts = {}) {
+    const key = (chartId, questionId) => `${chartId}/${questionId}`;
+    const answers = new Map(
+      predictions.map((p) => [key(p.chartId, p.questionId), p.answer])
+    );
+    const known = new Set(questions.map((q) => key(q.chartId, q.questionId)));
+
+    const results = questions.map((question) => {
+      const chart = charts[question.chartId] || {};
+      const id = key(question.chartId, question.questionId);
+
+      return {
+        chartId: question.chartId,
+        questionId: question.questionId,
+        difficulty: question.difficulty,
+        // Pre-bonding charts have no scenario of their own
+        scenario: chart.chartType === "pre" ? "pre_only" : chart.scenario,
+        volatility: chart.volatility,
+        chartType: chart.chartType,
+        chartDifficulty: chart.difficulty,
+        answer: answers.get(id),
+        gold: question.answer,
+        ...this.scoreAnswer(question, answers.get(id)),
+      };
+    });
+
+    return {
+      overall: this.summarize(results),
+      byQuestion: this.groupBy(results, "questionId"),
+      byScenario: this.groupBy(results, "scenario"),
+      byVolatility: this.groupBy(results, "volatility"),
+      byChartType: this.groupBy(results, "chartType"),
+      byDifficulty: this.groupBy(results, "difficulty"),
+      byChartDifficulty: this.groupBy(results, "chartDifficulty"),
+      // Predictions for questions the dataset does not have
+      unmatched: predictions.filter(
+        (p) => !known.has(key(p.chartId, p.questionId))
+      ).length,
+      results,
+    };
+  }
+
+  summarize(results) {
+    const total = results.reduce((sum, r) => sum + r.score, 0);
+    return {
+      questions: results.length,
+      answered: results.filter((r) => !r.missing).length,
+      // Answered, but not in a form the question's scorer can read
+      unrecognized: results.filter((r) => r.unrecognized).length,
+      correct: results.filter((r) => r.correct).length,
+      accuracy: results.length > 0 ? total / results.length : 0,
+    };
+  }
+
+  groupBy(results, field) {
+    const groups = {};
+    results.forEach((result) => {
+      const value = result[field] ?? "unknown";
+      (groups[value] = groups[value] || []).push(result);
+    });
+
+    return Object.fromEntries(
+      Object.keys(groups)
+        .sort()
+        .map((value) => [value, this.summarize(groups[value])])
+    );
+  }
+
+  // Plain-text tables of a report from evaluate()
+  formatSummary(report) {
+    const percent = (value) => `${(value * 100).toFixed(1)}%`.padStart(7);
+    const row = (label, s) =>
+      `  ${label.padEnd(22)}${percent(s.accuracy)}  ${String(
+        s.correct
+      ).padStart(6)}/${s.questions}  (${s.questions - s.answered} missing, ${
+        s.unrecognized
+      } unrecognized)`;
+
+    const lines = ["Overall", row("all questions", report.overall)];
+    [
+      ["By question", report.byQuestion],
+      ["By scenario", report.byScenario],
+      ["By volatility", report.byVolatility],
+      ["By chart type", report.byChartType],
+      ["By question difficulty", report.byDifficulty],
+      ["By chart difficulty", report.byChartDifficulty],
+    ].forEach(([title, groups]) => {
+      lines.push("", title);
+      Object.entries(groups).forEach(([label, s]) => lines.push(row(label, s)));
+    });
+    if (report.unmatched > 0) {
+      lines.push("", `${report.unmatched} prediction(s) matched no question`);
+    }
+
+    return lines.join("\n");
+  }
+}
+
+// answerType (questions.js) -> scoring method
+AnswerScorer.SCORERS = {
+  choice: "scoreChoice",
+  boolean: "scoreBoolean",
+  index: "scoreIndex",
+  number: "scoreNumber",
+  levels: "scoreLevels",
+};
+AnswerScorer.TRUE_WORDS = ["true", "yes", "y", "1"];
+AnswerScorer.FALSE_WORDS = ["false", "no", "n", "0"];
+
+// Export for use - CommonJS in Node, page global in the browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AnswerScorer;
+} else {
+  window.AnswerScorer = AnswerScorer;
+}
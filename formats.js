@@ -0,0 +1,253 @@
+// Chart file formats: CSV (one row per candle), NDJSON (one chart per line)
+// and parsing of exported JSON/NDJSON/CSV back into a chart the viewer can draw
+class ChartFormats {
+  constructor() {
+    const Validator =
+      typeof CandleValidator !== "undefined"
+        ? CandleValidator
+        : require("./validation.js");
+    this.validator = new Validator();
+    // Timeframe of a CSV file, which only has candle times
+    const Resampler =
+      typeof CandleResampler !== "undefined"
+        ? CandleResampler
+        : require("./timeframes.js");
+    this.timeframes = Resampler.TIMEFRAMES;
+  }
+
+  // time, OHLCV, phase label and the close as token price and market cap
+  toCSV(chart) {
+    const { phases } = chart.annotations;
+    const rows = chart.data.map((candle, i) =>
+      [
+        candle.time,
+        candle.open,
+        candle.high,
+        candle.low,
+        candle.close,
+        candle.volume,
+        phases[i] ?? "",
+        candle.price,
+        candle.marketCap,
+      ]
+        .map((value) => this.csvField(value))
+        .join(",")
+    );
+
+    return [ChartFormats.CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+  }
+
+  // Quoted when it holds a comma, quote or line break (RFC 4180)
+  csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Fields of one CSV row, undoing csvField()
+  splitCSVRow(row) {
+    const fields = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < row.length; i++) {
+      const char = row[i];
+      if (quoted) {
+        if (char === '"' && row[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ",") {
+        fields.push(field);
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+    if (quoted) throw new Error("Unclosed quote");
+    fields.push(field);
+    return fields;
+  }
+
+  // A chart from a toCSV() file. CSV keeps only the candles and their phase
+  // labels, so there is no seed, options or model; the metadata the viewer
+  // shows is recomputed from the candles and the bonding point is unknown.
+  fromCSV(text, id = "csv") {
+    const [header, ...rows] = text
+      .trim()
+      .split(/\r?\n/)
+      .filter((row) => row.trim());
+    if (header !== ChartFormats.CSV_COLUMNS.join(",")) {
+      throw new Error(
+        `CSV header must be ${ChartFormats.CSV_COLUMNS.join(",")}`
+      );
+    }
+
+    const phases = [];
+    const data = rows.map((row, i) => {
+      let fields;
+      try {
+        fields = this.splitCSVRow(row);
+      } catch (error) {
+        throw new Error(`Row ${i + 1}: ${error.message}`);
+      }
+      if (fields.length !== ChartFormats.CSV_COLUMNS.length) {
+        throw new Error(
+          `Row ${i + 1} has ${fields.length} fields, expected ${
+            ChartFormats.CSV_COLUMNS.length
+          }`
+        );
+      }
+
+      const candle = {};
+      ChartFormats.CSV_COLUMNS.forEach((column, j) => {
+        if (column === "phase") {
+          phases.push(fields[j] || null);
+        } else {
+          // Blank stays blank so validate() reports the missing field
+          candle[column] = fields[j] === "" ? NaN : Number(fields[j]);
+        }
+      });
+      return candle;
+    });
+    if (data.length === 0) throw new Error("CSV has no candles");
+
+    // The smallest step between candles; resampled charts can skip buckets
+    const step = Math.min(
+      ...data.slice(1).map((candle, i) => candle.time - data[i].time)
+    );
+    const timeframe =
+      Object.keys(this.timeframes).find(
+        (name) => this.timeframes[name] === step
+      ) ?? "1m";
+    const closes = data.map((candle) => candle.close);
+
+    return this.validate({
+      id,
+      seed: null,
+      scenario: null,
+      options: {},
+      data,
+      metadata: {
+        startMcap: closes[0],
+        finalMcap: closes[closes.length - 1],
+        peakMcap: Math.max(...closes),
+        minMcap: Math.min(...closes),
+        totalCandles: data.length,
+        timeframe,
+        preBondingCandles: null,
+        postBondingCandles: null,
+        bondingCandleIndex: null,
+        maxMarketCap: null,
+      },
+      annotations: {
+        phases,
+        events: [],
+        trades: [],
+        patterns: [],
+        keyLevels: [],
+      },
+    });
+  }
+
+  // One line per chart, so batches can be written and read incrementally
+  toNDJSON(chart) {
+    return JSON.stringify(chart) + "\n";
+  }
+
+  // Charts in an exported .json, .ndjson or .csv file, each checked with
+  // validate(). A CSV chart is named after its file.
+  parse(text, fileName = "chart.csv") {
+    const trimmed = text.trim();
+    if (!trimmed) throw new Error("File is empty");
+    if (trimmed.startsWith(ChartFormats.CSV_COLUMNS.join(","))) {
+      return [this.fromCSV(trimmed, fileName.replace(/\.csv$/i, ""))];
+    }
+
+    let charts;
+    try {
+      // Pretty-printed JSON spans many lines; NDJSON is one chart per line
+      charts = [JSON.parse(trimmed)];
+    } catch (error) {
+      charts = trimmed
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line, i) => {
+          try {
+            return JSON.parse(line);
+          } catch (lineError) {
+            throw new Error(`Line ${i + 1} is not valid JSON`);
+          }
+        });
+    }
+
+    return charts.map((chart, i) => {
+      try {
+        return this.validate(chart);
+      } catch (error) {
+        throw new Error(
+          charts.length > 1 ? `Chart ${i + 1}: ${error.message}` : error.message
+        );
+      }
+    });
+  }
+
+  // Throws unless the chart has everything the viewer draws; OHLC rules are
+  // the generator's own (validation.js)
+  validate(chart) {
+    if (!chart || typeof chart !== "object") {
+      throw new Error("Not a chart object");
+    }
+    ["id", "options", "metadata", "annotations"].forEach((field) => {
+      if (!chart[field]) throw new Error(`Missing "${field}"`);
+    });
+    if (!Array.isArray(chart.data) || chart.data.length === 0) {
+      throw new Error('"data" must be a non-empty array of candles');
+    }
+
+    chart.data.forEach((candle, i) => {
+      ChartFormats.CANDLE_FIELDS.forEach((field) => {
+        if (!Number.isFinite(candle[field])) {
+          throw new Error(`Candle ${i} has no numeric "${field}"`);
+        }
+      });
+      if (i > 0 && !(candle.time > chart.data[i - 1].time)) {
+        throw new Error(`Candle ${i} time is not after candle ${i - 1}`);
+      }
+    });
+    this.validator.validateSeries(chart.data, "throw");
+
+    const { phases } = chart.annotations;
+    if (!Array.isArray(phases) || phases.length !== chart.data.length) {
+      throw new Error('"annotations.phases" must have one label per candle');
+    }
+
+    return chart;
+  }
+}
+
+ChartFormats.CANDLE_FIELDS = ["time", "open", "high", "low", "close", "volume"];
+ChartFormats.CSV_COLUMNS = [
+  "time",
+  "open",
+  "high",
+  "low",
+  "close",
+  "volume",
+  "phase",
+  "price",
+  "marketCap",
+];
+ChartFormats.FORMATS = ["json", "ndjson", "csv"];
+
+// Export for use - CommonJS in Node, page global in the browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ChartFormats;
+} else {
+  window.ChartFormats = ChartFormats;
+}
@@ -1,17 +1,84 @@
 // Chart Generator with proper financial modeling
 class ChartGenerator {
-  constructor() {
-    // Bonding curve constants
-    this.INITIAL_MCAP = 5000; // $5k starting
-    this.BONDING_MCAP = 100000; // $100k bonding threshold - CEILING
-    this.TOKEN_SUPPLY = 1000000000; // 1B tokens
+  constructor(settings = {}) {
+    // Console summaries are handy in the browser but noisy in batch runs
+    this.debug = settings.debug !== false;
 
-    // Initialize with proper random seeding
-    this.seed = Math.random().toString(36).substr(2, 9);
-    this.rng = new Math.seedrandom(this.seed);
+    // Bonding curve constants (INITIAL_MCAP and BONDING_MCAP come from the
+    // model, see applyModel)
+    this.TOKEN_SUPPLY = 1000000000; // 1B tokens
 
-    // Statistical helpers from simple-statistics (global)
-    this.stats = ss;
+    // Page globals in the browser (see index.html), CommonJS packages in Node
+    this.seedrandom =
+      typeof Math.seedrandom === "function"
+        ? Math.seedrandom
+        : require("seedrandom");
+
+    // Initialize with proper random seeding (reseeded by every generate() call)
+    this.reseed(this.createSeed());
+
+    // Statistical helpers from simple-statistics
+    this.stats = typeof ss !== "undefined" ? ss : require("simple-statistics");
+
+    // Key-level detection over the finished chart (analysis.js)
+    const Analyzer =
+      typeof ChartAnalyzer !== "undefined"
+        ? ChartAnalyzer
+        : require("./analysis.js");
+    this.analyzer = new Analyzer();
+
+    // Stylized-fact statistics over the finished chart (realism.js)
+    const Realism =
+      typeof RealismAnalyzer !== "undefined"
+        ? RealismAnalyzer
+        : require("./realism.js");
+    this.realism = new Realism();
+
+    // Injectable pre-bonding chart patterns (patterns.js)
+    const Patterns =
+      typeof PatternLibrary !== "undefined"
+        ? PatternLibrary
+        : require("./patterns.js");
+    this.patterns = new Patterns(this);
+
+    // Post-bonding scenarios as phase scripts (scenarios.js)
+    const Scenarios =
+      typeof ScenarioEngine !== "undefined"
+        ? ScenarioEngine
+        : require("./scenarios.js");
+    this.scenarios = new Scenarios(this);
+
+    // Agent-based order flow, trading on the bonding curve (agents.js)
+    const Traders =
+      typeof TraderSimulation !== "undefined"
+        ? TraderSimulation
+        : require("./agents.js");
+    this.traders = new Traders(this);
+
+    // Higher-timeframe views of the 1-minute candles (timeframes.js)
+    const Resampler =
+      typeof CandleResampler !== "undefined"
+        ? CandleResampler
+        : require("./timeframes.js");
+    this.resampler = new Resampler();
+
+    // OHLC validation/repair run on every chart (validation.js)
+    const Validator =
+      typeof CandleValidator !== "undefined"
+        ? CandleValidator
+        : require("./validation.js");
+    this.validator = new Validator();
+
+    // Virtual-reserve bonding curve for the trade-driven pre-bonding engine
+    // (bondingcurve.js). SOL is priced so graduation lands on BONDING_MCAP.
+    const Curve =
+      typeof BondingCurve !== "undefined"
+        ? BondingCurve
+        : require("./bondingcurve.js");
+    this.curve = new Curve({ totalSupply: this.TOKEN_SUPPLY });
+
+    // Default model until generate() applies a chart's own
+    this.applyModel(this.resolveModel());
 
     // Market phases for realistic crypto behavior (accessible everywhere)
     this.marketPhases = [
@@ -60,6 +127,17 @@ class ChartGenerator {
     ];
   }
 
+  // Fresh seed for a new chart - the only place unseeded randomness is used
+  createSeed() {
+    return Math.random().toString(36).substr(2, 9);
+  }
+
+  // Reset the seeded generator so the same seed always replays the same chart
+  reseed(seed) {
+    this.seed = String(seed);
+    this.rng = new this.seedrandom(this.seed);
+  }
+
   // Random utilities using seeded generator
   random(min, max) {
     return this.rng() * (max - min) + min;
@@ -69,6 +147,73 @@ class ChartGenerator {
     return Math.floor(this.rng() * (max - min + 1)) + min;
   }
 
+  // Checked model parameters with every default filled in (MODEL_DEFAULTS)
+  resolveModel(model = {}) {
+    const defaults = ChartGenerator.MODEL_DEFAULTS;
+    Object.keys(model).forEach((key) => {
+      if (!(key in defaults)) {
+        throw new Error(`Unknown model parameter "${key}"`);
+      }
+    });
+
+    const resolved = { ...defaults, ...model };
+    const check = (key, valid, rule) => {
+      if (typeof resolved[key] !== "number" || !valid(resolved[key])) {
+        throw new Error(`model.${key} must be ${rule}`);
+      }
+    };
+    ["initialMcap", "bondingMcap", "zoneTarget", "breakoutThreshold"].forEach(
+      (key) => check(key, (value) => value > 0, "a number > 0")
+    );
+    ["meanReversion", "cycleAmplitude", "cycleFrequency"].forEach((key) =>
+      check(key, (value) => value >= 0, "a number >= 0")
+    );
+    ["momentumDecay", "memoryDecay"].forEach((key) =>
+      check(key, (value) => value >= 0 && value < 1, "a number >= 0 and < 1")
+    );
+    if (resolved.bondingMcap <= resolved.initialMcap) {
+      throw new Error("model.bondingMcap must be above model.initialMcap");
+    }
+
+    const candles = resolved.preBondingCandles;
+    if (
+      !Array.isArray(candles) ||
+      candles.length !== 2 ||
+      !candles.every(Number.isInteger) ||
+      candles[0] < 2 ||
+      candles[0] > candles[1]
+    ) {
+      throw new Error(
+        "model.preBondingCandles must be [min, max] whole numbers with 2 <= min <= max"
+      );
+    }
+    return { ...resolved, preBondingCandles: [...candles] };
+  }
+
+  // Market levels for the next chart. SOL is priced so curve graduation
+  // lands on BONDING_MCAP.
+  applyModel(model) {
+    this.model = model;
+    this.INITIAL_MCAP = model.initialMcap;
+    this.BONDING_MCAP = model.bondingMcap; // Bonding threshold - CEILING
+    this.SOL_PRICE = this.BONDING_MCAP / this.curve.graduationMarketCapSol();
+    this.validator.minPrice = this.INITIAL_MCAP * 0.01;
+  }
+
+  // Per-token price for a market cap, from the fixed 1B token supply
+  toTokenPrice(marketCap) {
+    return marketCap / this.TOKEN_SUPPLY;
+  }
+
+  // Pre-bonding market phase for a 0-1 progress through the pre-bonding run
+  getMarketPhase(progress) {
+    return (
+      this.marketPhases.find(
+        (phase) => progress >= phase.start && progress < phase.end
+      ) || this.marketPhases[this.marketPhases.length - 1]
+    );
+  }
+
   // Box-Muller transform for normal distribution using seeded random
   gaussianRandom() {
     let u = 0,
@@ -82,38 +227,106 @@ class ChartGenerator {
     const {
       chartType = "full",
       scenario = "random",
+      scenarioScript = null, // Custom post-bonding script (scenarios.js)
       volatility = "medium",
+      difficulty = "medium", // "easy" | "medium" | "hard" | "adversarial"
+      patterns = {}, // { counts, fakeoutCount, accumulationPeriods, strength }
+      validation = "repair", // "repair" | "report" | "throw"
+      simulation = "stochastic", // "stochastic" | "agents"
+      volumeProfile = null, // Reshapes volume over the chart (VOLUME_PROFILES)
+      preBondingEngine = "random_walk", // "random_walk" | "curve"
+      postBondingMode = "capped", // "capped" at $100k | "uncapped"
+      maxMarketCap, // Uncapped ceiling (default: random $1M-$2M)
+      initialPumpStrength, // Uncapped pump multiplier (default: random pick)
+      seed = this.createSeed(),
+      startTime = ChartGenerator.DEFAULT_START_TIME,
+      timeframe = "1m", // "1m" | "5m" | "15m" | "1h" | "4h"
+      model = {}, // Model constants to override (MODEL_DEFAULTS)
     } = options;
+    this.resampler.seconds(timeframe); // Fail fast on unknown timeframes
+    const clarity = this.resolveDifficulty(difficulty);
+    const effectiveModel = this.resolveModel(model);
+    this.patterns.requested(patterns); // Fail fast on fractional counts
+    const customScript = scenarioScript
+      ? this.scenarios.validate(scenarioScript)
+      : null;
+
+    // Everything below draws from the seeded generator only, so the same
+    // seed + options always produce byte-identical output
+    this.reseed(seed);
+    this.applyModel(effectiveModel);
+    const chartToken = this.rng().toString(36).substr(2, 9);
+
+    // Pick random scenario if needed; a custom script names its own
+    const scenarios = ChartGenerator.SCENARIOS;
+    let finalScenario = scenario;
+    if (customScript) {
+      finalScenario = customScript.name;
+    } else if (scenario === "random") {
+      finalScenario = scenarios[this.randomInt(0, scenarios.length - 1)];
+    }
+    const script = customScript || this.builtInScenario(finalScenario);
 
-    // Pick random scenario if needed
-    const scenarios = [
-      "organic",
-      "pump_dump",
-      "instant_rug",
-      "slow_bleed",
-      "consolidation",
-    ];
-    const finalScenario =
-      scenario === "random"
-        ? scenarios[Math.floor(Math.random() * scenarios.length)]
-        : scenario;
+    const market = this.resolveMarket(
+      postBondingMode,
+      maxMarketCap,
+      initialPumpStrength
+    );
 
     const result = {
-      id: `chart_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      id: `chart_${startTime}_${chartToken}`,
+      seed: this.seed,
       scenario: finalScenario,
+      options: {
+        chartType,
+        scenario,
+        scenarioScript,
+        volatility,
+        difficulty,
+        patterns,
+        validation,
+        simulation,
+        volumeProfile,
+        preBondingEngine,
+        postBondingMode,
+        maxMarketCap,
+        initialPumpStrength,
+        startTime,
+        timeframe,
+        model,
+      },
       data: [],
       metadata: {},
+      annotations: {},
     };
 
+    // Agent mode trades the whole chart - curve, then graduated pool
+    const agentRun = this.runAgentSimulation(simulation, {
+      scenario: finalScenario,
+      scenarioScript,
+      volatility,
+      difficulty,
+      patterns,
+      postBonding: chartType !== "pre",
+    });
+
     let data = [];
+    let bondingCandleIndex = null;
 
     // Generate pre-bonding if needed
     if (chartType === "full" || chartType === "pre") {
-      const preBonding = this.generatePreBonding(volatility);
+      const preBonding = agentRun
+        ? agentRun.preBonding
+        : this.runPreBondingEngine(
+            preBondingEngine,
+            volatility,
+            patterns,
+            clarity
+          );
       data = [...data, ...preBonding];
 
       // Debug: Check if we reached exactly $100k and show price range
-      if (preBonding.length > 0) {
+      if (this.debug && preBonding.length > 0) {
         const lastPrice = preBonding[preBonding.length - 1].close;
         const firstPrice = preBonding[0].close;
         const prices = preBonding.map((c) => c.close);
@@ -132,16 +345,13 @@ class ChartGenerator {
         // Show market phases summary
         const phaseCounts = {};
         let breakoutCount = 0;
-        preBonding.forEach((candle, i) => {
-          const progress = i / (preBonding.length - 1);
-          const phase =
-            this.marketPhases.find(
-              (p) => progress >= p.start && progress < p.end
-            ) || this.marketPhases[this.marketPhases.length - 1];
-          phaseCounts[phase.name] = (phaseCounts[phase.name] || 0) + 1;
+        preBonding.forEach((candle) => {
+          phaseCounts[candle.phase] = (phaseCounts[candle.phase] || 0) + 1;
 
           // Count natural breakouts above zone targets (40k * 1.5 = 60k threshold)
-          if (candle.close > this.BONDING_MCAP * 0.4 * 1.5) breakoutCount++;
+          const { zoneTarget, breakoutThreshold } = this.model;
+          if (candle.close > this.BONDING_MCAP * zoneTarget * breakoutThreshold)
+            breakoutCount++;
         });
         console.log("Market phases:", phaseCounts);
         console.log(
@@ -170,34 +380,339 @@ class ChartGenerator {
       const startMcap =
         data.length > 0 ? data[data.length - 1].close : this.BONDING_MCAP;
 
-      const postBonding = this.generatePostBonding(
-        startMcap,
-        finalScenario,
-        volatility
-      );
+      // The random walk has no ceiling, so a drawn (not given) maxMarketCap
+      // is lifted to leave room for the whole pump above a high bonding
+      // close (1.25x covers the accumulation before the pump)
+      if (market.uncapped && maxMarketCap === undefined) {
+        market.ceiling = Math.max(
+          market.ceiling,
+          startMcap * market.pumpStrength * 1.25
+        );
+      }
+
+      const postBonding = agentRun
+        ? agentRun.postBonding
+        : this.generatePostBonding(
+            startMcap,
+            script,
+            volatility,
+            market,
+            clarity
+          );
+      bondingCandleIndex = data.length;
       data = [...data, ...postBonding];
     }
 
+    if (volumeProfile !== null) {
+      // Agent volume is the SOL actually traded - reshaping it would break
+      // the link to the recorded trades
+      if (agentRun) {
+        throw new Error("volumeProfile does not apply to agent simulations");
+      }
+      data = this.applyVolumeProfile(data, volumeProfile);
+    }
+
+    // Catch invalid candles before they can reach a dataset
+    const validated = this.validator.validateSeries(data, validation);
+    data = validated.candles;
+
     // Convert to lightweight-charts format - DISPLAY MARKET CAP directly
-    const now = Math.floor(Date.now() / 1000);
     result.data = data.map((candle, i) => ({
-      time: now - (data.length - i) * 60, // 1-minute candles
+      time: startTime + i * 60, // 1-minute candles from a fixed start
       open: candle.open,
       high: candle.high,
       low: candle.low,
       close: candle.close,
       volume: candle.volume,
+      price: this.toTokenPrice(candle.close), // Per-token close
+      marketCap: candle.close,
     }));
 
     // Calculate metadata
-    result.metadata = this.calculateMetadata(data);
+    result.metadata = {
+      ...this.calculateMetadata(data),
+      timeframe: "1m",
+      preBondingCandles: bondingCandleIndex ?? data.length,
+      postBondingCandles: data.length - (bondingCandleIndex ?? data.length),
+      bondingCandleIndex,
+      difficulty,
+      simulation,
+      volumeProfile,
+      preBondingEngine:
+        chartType === "post" ? null : agentRun ? "curve" : preBondingEngine,
+      // Agent charts trade freely on the pool - no ceiling or scripted pump
+      postBondingMode: agentRun ? null : market.mode,
+      maxMarketCap: !agentRun && market.uncapped ? market.ceiling : null,
+      initialPumpStrength:
+        !agentRun && market.uncapped ? market.pumpStrength : null,
+      validation: validated.summary,
+      // Every model constant the chart was generated with
+      model: effectiveModel,
+      // Return moments, autocorrelation, drawdown and per-phase volatility
+      realism: this.realism.analyze(
+        result.data,
+        data.map((candle) => candle.phase)
+      ),
+    };
+
+    // Ground truth for scoring: per-candle phase labels and key events
+    result.annotations = {
+      ...this.buildAnnotations(data, bondingCandleIndex),
+      agents: agentRun ? agentRun.agents : [],
+      keyLevels: this.analyzer
+        .detectKeyLevels(result.data)
+        .map(({ type, price, ...level }) => ({
+          type,
+          price: this.toTokenPrice(price),
+          marketCap: price,
+          ...level,
+        })),
+    };
+    // Patterns that did not fit are dropped, so record requested against
+    // placed - a dataset must never claim patterns it lacks
+    result.metadata.patterns = this.patternCounts(
+      patterns,
+      result.annotations.patterns
+    );
+
+    // Candles are always generated at 1 minute; other timeframes are views
+    return timeframe === "1m"
+      ? result
+      : this.resampler.resampleChart(result, timeframe);
+  }
+
+  // { requested, placed } pattern counts per type
+  patternCounts(options, placed) {
+    const requested = Object.fromEntries(
+      Object.entries(this.patterns.requested(options)).filter(
+        ([, count]) => count > 0
+      )
+    );
+    const counts = {};
+    placed.forEach(({ type }) => (counts[type] = (counts[type] || 0) + 1));
+    return { requested, placed: counts };
+  }
+
+  // Shape volume across the whole chart on top of each scenario's own
+  // model; average volume stays about the same (FrontEndSandbox.md section 5)
+  applyVolumeProfile(candles, profile) {
+    if (!ChartGenerator.VOLUME_PROFILES.includes(profile)) {
+      throw new Error(
+        `volumeProfile must be one of ${ChartGenerator.VOLUME_PROFILES.join(
+          ", "
+        )}`
+      );
+    }
+
+    const mean = this.stats.mean(candles.map((candle) => candle.volume));
+    const last = Math.max(candles.length - 1, 1);
+
+    return candles.map((candle, i) => {
+      const progress = i / last;
+      let volume;
+
+      switch (profile) {
+        case "increasing":
+          volume = candle.volume * (0.25 + 1.5 * progress);
+          break;
+        case "decreasing":
+          volume = candle.volume * (1.75 - 1.5 * progress);
+          break;
+        case "stable":
+          // Pull every candle most of the way to the chart average
+          volume = mean * Math.pow(candle.volume / mean, 0.3);
+          break;
+        case "sporadic":
+          // Quiet tape broken by occasional bursts
+          volume =
+            candle.volume *
+            (this.rng() < 0.08 ? this.random(3, 8) : this.random(0.2, 0.6));
+          break;
+      }
+
+      return { ...candle, volume: Math.max(volume, 1) };
+    });
+  }
+
+  // Null for the stochastic generators
+  runAgentSimulation(simulation, options) {
+    if (!ChartGenerator.SIMULATIONS.includes(simulation)) {
+      throw new Error(
+        `simulation must be one of ${ChartGenerator.SIMULATIONS.join(", ")}`
+      );
+    }
+    if (simulation === "stochastic") return null;
+
+    const { patterns, difficulty, scenarioScript, ...run } = options;
+    if (Object.keys(patterns).length > 0) {
+      throw new Error("Patterns are not injected into agent simulations");
+    }
+    if (scenarioScript) {
+      throw new Error("Scenario scripts are not run by agent simulations");
+    }
+    // Agent charts are whatever the traders do - there is no scripted signal
+    if (difficulty !== "medium") {
+      throw new Error("difficulty does not apply to agent simulations");
+    }
+    return this.traders.run(run);
+  }
+
+  runPreBondingEngine(engine, volatility, patterns, clarity) {
+    if (!ChartGenerator.PRE_BONDING_ENGINES.includes(engine)) {
+      throw new Error(
+        `preBondingEngine must be one of ${ChartGenerator.PRE_BONDING_ENGINES.join(
+          ", "
+        )}`
+      );
+    }
+    if (engine === "random_walk") {
+      return this.generatePreBonding(volatility, patterns, clarity);
+    }
+
+    // Curve prices come from trades only - there is no path to script
+    if (Object.keys(patterns).length > 0) {
+      throw new Error(
+        'Patterns are only injected by the "random_walk" pre-bonding engine'
+      );
+    }
+    return this.generateCurvePreBonding(volatility, clarity);
+  }
+
+  // Checked script for a built-in scenario name
+  builtInScenario(name) {
+    if (!ChartGenerator.SCENARIOS.includes(name)) {
+      throw new Error(
+        `scenario must be one of ${ChartGenerator.SCENARIOS.join(", ")}, random`
+      );
+    }
+    return this.scenarios.validate(this.scenarios.constructor.BUILT_IN[name]);
+  }
+
+  // Signal-to-noise settings for a difficulty level (DIFFICULTIES)
+  resolveDifficulty(difficulty) {
+    const clarity = ChartGenerator.DIFFICULTIES[difficulty];
+    if (!clarity) {
+      throw new Error(
+        `difficulty must be one of ${Object.keys(
+          ChartGenerator.DIFFICULTIES
+        ).join(", ")}`
+      );
+    }
+    return clarity;
+  }
+
+  // Post-bonding price ceiling: the bonding level, or a free-trading
+  // graduated token running up to maxMarketCap (FrontEndSandbox.md section 1)
+  resolveMarket(mode, maxMarketCap, initialPumpStrength) {
+    if (!ChartGenerator.POST_BONDING_MODES.includes(mode)) {
+      throw new Error(
+        `postBondingMode must be one of ${ChartGenerator.POST_BONDING_MODES.join(
+          ", "
+        )}`
+      );
+    }
+    if (mode === "capped") {
+      return { mode, uncapped: false, ceiling: this.BONDING_MCAP };
+    }
+
+    const strengths = ChartGenerator.PUMP_STRENGTHS;
+    const market = {
+      mode,
+      uncapped: true,
+      ceiling: maxMarketCap ?? this.random(1000000, 2000000),
+      pumpStrength:
+        initialPumpStrength ??
+        strengths[this.randomInt(0, strengths.length - 1)],
+    };
+
+    if (!(market.ceiling > this.BONDING_MCAP)) {
+      throw new Error(`maxMarketCap must be above ${this.BONDING_MCAP}`);
+    }
+    if (!(market.pumpStrength > 1)) {
+      throw new Error("initialPumpStrength must be greater than 1");
+    }
+    return market;
+  }
 
-    return result;
+  // Where an uncapped pump heads from a given start, kept under the ceiling
+  pumpTarget(startMcap, market) {
+    return Math.min(startMcap * market.pumpStrength, market.ceiling * 0.95);
   }
 
-  generatePreBonding(volatility) {
+  // Generators tag their internal candles with a `phase` name and optional
+  // `events` ({ type, ...details }) and `trades` (agent fills); collect them
+  // with chart-wide indices
+  buildAnnotations(candles, bondingCandleIndex) {
+    const events = [];
+    const patterns = [];
+    const trades = [];
+
+    candles.forEach((candle, i) => {
+      // Consecutive candles tagged with the same injected pattern form its range
+      if (candle.pattern) {
+        const last = patterns[patterns.length - 1];
+        if (last && last.instance === candle.pattern) {
+          last.endIndex = i;
+        } else {
+          patterns.push({
+            instance: candle.pattern,
+            startIndex: i,
+            endIndex: i,
+          });
+        }
+      }
+
+      if (i === bondingCandleIndex) {
+        events.push({ type: "bonding_complete", index: i });
+      }
+
+      const previous = candles[i - 1];
+      if (previous && previous.phase !== candle.phase) {
+        events.push({
+          type: "phase_change",
+          index: i,
+          from: previous.phase,
+          to: candle.phase,
+        });
+      }
+
+      (candle.events || []).forEach(({ type, ...details }) => {
+        events.push({ type, index: i, ...details });
+      });
+      (candle.trades || []).forEach((trade) => {
+        trades.push({ index: i, ...trade });
+      });
+    });
+
+    return {
+      phases: candles.map((candle) => candle.phase),
+      events,
+      patterns: patterns.map(({ instance, startIndex, endIndex }) => ({
+        type: instance.type,
+        startIndex,
+        endIndex,
+        strength: instance.strength,
+      })),
+      trades,
+    };
+  }
+
+  generatePreBonding(
+    volatility,
+    patternOptions = {},
+    clarity = ChartGenerator.DIFFICULTIES.medium
+  ) {
     const candles = [];
-    const numCandles = this.randomInt(150, 400);
+    const model = this.model;
+    const numCandles = this.randomInt(...model.preBondingCandles);
+
+    // Scripted pattern steps by candle index, placed at seeded positions
+    const patternSteps = [];
+    this.patterns.plan(numCandles, patternOptions).forEach((instance) => {
+      instance.steps.forEach((step, offset) => {
+        patternSteps[instance.startIndex + offset] = { instance, step };
+      });
+    });
 
     // Volatility settings - HIGHLY volatile for organic crypto charts
     const volMap = {
@@ -219,24 +734,22 @@ class ChartGenerator {
     // Initialize volume with realistic starting point
     let volumeAvg = this.stats.mean([50000, 150000]); // Use statistical mean
 
-    // Use market phases defined in constructor
-    const phases = this.marketPhases;
-
     // Initialize momentum tracking for organic trend emergence
     let shortTermMomentum = 0;
     let longTermMemory = 0;
+    // Rounded so the defaults keep the exact weights of earlier versions
+    // (1 - 0.85 is 0.15000000000000002 in floating point)
+    const momentumWeight = +(1 - model.momentumDecay).toFixed(12);
+    const memoryWeight = +(1 - model.memoryDecay).toFixed(12);
 
     for (let i = 0; i < numCandles; i++) {
       const progress = i / (numCandles - 1); // 0 to 1
 
       // Find current market phase
-      const currentPhase =
-        phases.find(
-          (phase) => progress >= phase.start && progress < phase.end
-        ) || phases[phases.length - 1];
+      const currentPhase = this.getMarketPhase(progress);
 
       // PURE STOCHASTIC PROCESS - No directional bias, trends emerge naturally
-      const baseVolatility = vol * currentPhase.volMult;
+      const baseVolatility = vol * currentPhase.volMult * clarity.noise;
       const randomShock = this.gaussianRandom() * baseVolatility;
 
       // Momentum effects - recent price action influences direction (reduced persistence)
@@ -244,7 +757,8 @@ class ChartGenerator {
       const memoryInfluence = longTermMemory * 0.05; // Reduced long-term memory
 
       // Cyclical market behavior (bull/bear cycles independent of progress)
-      const cyclePosition = Math.sin(i * 0.05) * 0.5; // Natural market cycles
+      const cyclePosition =
+        Math.sin(i * model.cycleFrequency) * model.cycleAmplitude; // Natural market cycles
       const cycleInfluence = cyclePosition * baseVolatility * 0.2;
 
       // LOWER MATHEMATICAL TARGETS: Keep consolidation zones much lower
@@ -252,14 +766,14 @@ class ChartGenerator {
 
       // Create consolidation zones that peak at 40% of final target (40k)
       // Much lower targets so price doesn't naturally trend toward high ceilings
-      const zonePeak = this.BONDING_MCAP * 0.4; // 40k consolidation zone (much lower!)
+      const zonePeak = this.BONDING_MCAP * model.zoneTarget; // 40k consolidation zone (much lower!)
       const zoneProgress = Math.min(expectedProgress * 1.0, 1.0); // Normal progression
       const expectedMcap =
         this.INITIAL_MCAP + (zonePeak - this.INITIAL_MCAP) * zoneProgress;
 
       // ZONE-AWARE: Only apply mean reversion if price hasn't broken out significantly
       // If price has broken 50% above the zone target, let it run free (natural breakout)
-      const breakoutThreshold = expectedMcap * 1.5; // 50% above zone target (higher threshold)
+      const breakoutThreshold = expectedMcap * model.breakoutThreshold; // 50% above zone target (higher threshold)
       const hasBrokenOut = currentMcap > breakoutThreshold;
 
       let marketMemory = 0;
@@ -267,24 +781,34 @@ class ChartGenerator {
         // Normal mean reversion toward consolidation zone
         const deviationPercent =
           (expectedMcap - currentMcap) / Math.abs(currentMcap || 1);
-        marketMemory = deviationPercent * 0.008; // Slightly weaker for lower targets
+        marketMemory = deviationPercent * model.meanReversion; // Slightly weaker for lower targets
       }
       // If broken out, marketMemory = 0 (no artificial pullback)
 
       // Combine stochastic forces: random walk + momentum + memory + cycles
-      const totalChangePercent =
+      let totalChangePercent =
         randomShock +
         momentumInfluence +
         memoryInfluence +
         cycleInfluence +
         marketMemory;
 
+      // Injected pattern: follow its scripted path with a little noise on top
+      const active = patternSteps[i];
+      if (active) {
+        totalChangePercent = active.step.change + randomShock * 0.05;
+      }
+
       // Update momentum based on recent price action (reduced accumulation)
-      shortTermMomentum = shortTermMomentum * 0.85 + totalChangePercent * 0.15;
-      longTermMemory = longTermMemory * 0.97 + totalChangePercent * 0.03;
+      shortTermMomentum =
+        shortTermMomentum * model.momentumDecay +
+        totalChangePercent * momentumWeight;
+      longTermMemory =
+        longTermMemory * model.memoryDecay + totalChangePercent * memoryWeight;
 
       const open = currentMcap;
-      let close = open * (1 + totalChangePercent);
+      // A single candle can never wipe out the price (extreme shocks < -100%)
+      let close = open * Math.max(1 + totalChangePercent, 0.1);
 
       // NO CEILING: Let stochastic process run completely free to see maximum extremes
       // Remove all artificial constraints - true mathematical exploration
@@ -312,13 +836,26 @@ class ChartGenerator {
 
       // PRE-BONDING: Wicks can go up to 100M (effectively no limits)
       high = Math.min(high, preBondingCeiling);
-      low = Math.max(low, 0); // Also prevent negative prices
+      low = Math.max(low, Math.min(open, close) * 0.5); // Also prevent zero/negative prices
+
+      // Pattern wicks (stop hunts, rejections) are allowed past the swing limit
+      if (active) {
+        high = Math.max(
+          high,
+          Math.max(open, close) * (1 + active.step.upperWick)
+        );
+        low = Math.min(
+          low,
+          Math.min(open, close) * (1 - active.step.lowerWick)
+        );
+      }
 
       // Volume modeling using statistical distribution
       const baseVolume = volumeAvg;
       const volumeMultiplier = 1 + Math.abs(totalChangePercent) * 3; // Higher volume on bigger moves
       const volumeNoise = this.gaussianRandom() * 0.3; // 30% volume variance
       let volume = baseVolume * volumeMultiplier * (1 + volumeNoise);
+      if (active) volume *= active.step.volumeMult;
       volume = Math.max(10000, volume); // Minimum volume
 
       // Update volume average using exponential moving average
@@ -330,6 +867,8 @@ class ChartGenerator {
         low,
         close,
         volume,
+        phase: currentPhase.name,
+        pattern: active && active.instance,
       });
 
       currentMcap = close;
@@ -341,355 +880,110 @@ class ChartGenerator {
     return candles;
   }
 
-  generatePostBonding(startMcap, scenario, volatility) {
-    const numCandles = this.randomInt(500, 1500);
-
-    switch (scenario) {
-      case "organic":
-        return this.generateOrganic(startMcap, numCandles, volatility);
-      case "pump_dump":
-        return this.generatePumpDump(startMcap, numCandles, volatility);
-      case "instant_rug":
-        return this.generateInstantRug(startMcap, numCandles, volatility);
-      case "slow_bleed":
-        return this.generateSlowBleed(startMcap, numCandles, volatility);
-      case "consolidation":
-        return this.generateConsolidation(startMcap, numCandles, volatility);
-      default:
-        return this.generateOrganic(startMcap, numCandles, volatility);
-    }
-  }
-
-  generateOrganic(startMcap, numCandles, volatility) {
+  // Pre-bonding run built from simulated buy/sell orders on the bonding
+  // curve. Each minute gets a batch of trades; the candle is the market cap
+  // path they trace, and volume is the SOL they moved. The run ends on the
+  // buy that sells the curve's last token (graduation at BONDING_MCAP).
+  generateCurvePreBonding(
+    volatility,
+    clarity = ChartGenerator.DIFFICULTIES.medium
+  ) {
     const candles = [];
-    let currentMcap = startMcap;
-
-    const volMap = {
-      low: 0.012,
-      medium: 0.02,
-      high: 0.03,
-      extreme: 0.04,
-    };
-    const vol = volMap[volatility] || 0.02;
-
-    // POST-BONDING: Mean reversion around $100k - CAN GO BELOW BUT NEVER ABOVE
-    const meanReversionLevel = this.BONDING_MCAP;
-    const meanReversionSpeed = 0.05; // How strongly it pulls back to mean
-
-    let volumeAvg = this.stats.mean([80000, 120000]);
-
-    for (let i = 0; i < numCandles; i++) {
-      // Mean reversion component - pulls price back toward $100k
-      const deviation = (currentMcap - meanReversionLevel) / meanReversionLevel;
-      const meanReversionForce = -deviation * meanReversionSpeed;
-
-      // Random walk with drift toward mean
-      const diffusion = this.gaussianRandom() * vol;
-
-      // Slight upward bias for organic growth (but capped at $100k)
-      const organicDrift = 0.0005; // Very small upward trend
-
-      // Seasonal/market cycle component
-      const cycle = Math.sin(i * 0.02) * vol * 0.2;
+    const curve = this.curve;
+    curve.reset();
+
+    // Minutes the run is paced to take; the curve decides the exact end
+    const plannedCandles = this.randomInt(...this.model.preBondingCandles);
+    const maxCandles = plannedCandles * 3;
+
+    // Spread of trade sizes (log-normal, in SOL)
+    const sizeSpread = { low: 0.8, medium: 1.0, high: 1.3, extreme: 1.6 };
+    const sigma = (sizeSpread[volatility] || 1.0) * clarity.noise;
+    const medianTradeSol = 0.4;
+
+    const toMcap = () => curve.marketCapSol() * this.SOL_PRICE;
+    let currentMcap = toMcap();
+
+    for (let i = 0; !curve.isComplete(); i++) {
+      const timeProgress = Math.min(i / (plannedCandles - 1), 1);
+      const currentPhase = this.getMarketPhase(timeProgress);
+
+      // Buy pressure: the phase's bias plus a pull toward the planned pace
+      const lag = timeProgress - curve.progress();
+      const buyChance = Math.min(
+        Math.max(0.5 + currentPhase.bias * 20 + lag * 1.5, 0.2),
+        0.85
+      );
 
-      const change = meanReversionForce + diffusion + organicDrift + cycle;
+      // At least one trade a minute; busier in volatile phases
+      const tradeCount =
+        1 + this.poissonRandom(3 * currentPhase.volMult * (0.5 + this.rng()));
 
       const open = currentMcap;
-      let close = open * (1 + change);
-
-      // CRITICAL: NEVER exceed bonding curve ceiling
-      if (close > this.BONDING_MCAP) {
-        close = this.BONDING_MCAP;
-      }
-
-      // Generate OHLC with statistical wicks
-      const bodySize = Math.abs(close - open);
-      const wickMultipliers = [0.2, 0.4, 0.6, 0.8];
-      const wickMultiplier =
-        wickMultipliers[Math.floor(this.rng() * wickMultipliers.length)];
-
-      let high = Math.max(open, close) + bodySize * wickMultiplier * this.rng();
-      let low =
-        Math.min(open, close) - bodySize * wickMultiplier * this.rng() * 0.7;
-
-      // Ensure wicks don't violate the ceiling
-      high = Math.min(high, this.BONDING_MCAP * 1.005); // Allow slight overshoot on wick
-      low = Math.max(low, currentMcap * 0.9); // Max 10% drop
-
-      // Volume modeling
-      const baseVolume = volumeAvg;
-      const volumeMultiplier = 1 + Math.abs(change) * 2;
-      const volumeNoise = this.gaussianRandom() * 0.25;
-      let volume = baseVolume * volumeMultiplier * (1 + volumeNoise);
-      volume = Math.max(15000, volume);
-
-      volumeAvg = volumeAvg * 0.99 + volume * 0.01;
-
-      candles.push({ open, high, low, close, volume });
-      currentMcap = close;
-    }
-
-    return candles;
-  }
-
-  generatePumpDump(startMcap, numCandles, volatility) {
-    const candles = [];
-    let currentMcap = startMcap;
-
-    const volMap = {
-      low: 0.025,
-      medium: 0.035,
-      high: 0.045,
-      extreme: 0.055,
-    };
-    const vol = volMap[volatility] || 0.035;
-
-    // POST-BONDING PUMP & DUMP: Can go below but NEVER above $100k
-    // Realistic pump: tries to break ceiling but gets rejected
-    const phases = [
-      {
-        name: "accumulation",
-        duration: Math.floor(numCandles * 0.25),
-        drift: 0.002,
-        volMult: 0.8,
-      },
-      {
-        name: "pump",
-        duration: Math.floor(numCandles * 0.25),
-        drift: 0.008, // Aggressive pump toward ceiling
-        volMult: 2.0,
-      },
-      {
-        name: "distribution",
-        duration: Math.floor(numCandles * 0.15),
-        drift: -0.001,
-        volMult: 1.5,
-      },
-      {
-        name: "dump",
-        duration: Math.floor(numCandles * 0.35),
-        drift: -0.015,
-        volMult: 2.5,
-      },
-    ];
-
-    let volumeAvg = this.stats.mean([100000, 150000]);
-    let candleCount = 0;
-
-    for (const phase of phases) {
-      for (let i = 0; i < phase.duration && candleCount < numCandles; i++) {
-        const progress = i / phase.duration;
-
-        let phaseDrift = phase.drift;
-
-        // During pump phase, accelerate toward ceiling but get rejected
-        if (phase.name === "pump") {
-          const distanceToCeiling =
-            (this.BONDING_MCAP - currentMcap) / currentMcap;
-          if (distanceToCeiling < 0.05) {
-            // Close to ceiling
-            phaseDrift *= 0.3; // Slow down near ceiling
-          }
-        }
-
-        const noise = this.gaussianRandom() * vol * phase.volMult;
-        const change = phaseDrift + noise;
-
-        const open = currentMcap;
-        let close = open * (1 + change);
-
-        // CRITICAL: NEVER exceed bonding curve ceiling
-        if (close > this.BONDING_MCAP) {
-          close = this.BONDING_MCAP;
-          // During pump phase, create rejection candles
-          if (phase.name === "pump") {
-            close = this.BONDING_MCAP * (0.995 + this.rng() * 0.01); // Slight pullback
-          }
-        }
-
-        // Generate OHLC with exaggerated wicks during pump/dump
-        const bodySize = Math.abs(close - open);
-        const wickMultiplier = phase.volMult * 0.8;
-
-        let high =
-          Math.max(open, close) + bodySize * wickMultiplier * this.rng();
-        let low =
-          Math.min(open, close) - bodySize * wickMultiplier * this.rng() * 0.6;
-
-        // Ensure wicks don't violate ceiling
-        high = Math.min(high, this.BONDING_MCAP * 1.01); // Small overshoot allowed on wick
-        low = Math.max(low, currentMcap * 0.85); // Max 15% drop
-
-        // Volume spikes during pump/dump
-        const baseVolume = volumeAvg * phase.volMult;
-        const volumeMultiplier = 1 + Math.abs(change) * 4;
-        const volumeNoise = this.gaussianRandom() * 0.4;
-        let volume = baseVolume * volumeMultiplier * (1 + volumeNoise);
-        volume = Math.max(20000, volume);
-
-        volumeAvg = volumeAvg * 0.98 + volume * 0.02;
-
-        candles.push({ open, high, low, close, volume });
-        currentMcap = close;
-        candleCount++;
-      }
-    }
-
-    return candles;
-  }
-
-  generateInstantRug(startMcap, numCandles, volatility) {
-    const candles = [];
-    let currentMcap = startMcap;
-    const rugPoint = this.randomInt(10, 30);
-
-    const volMap = {
-      low: 0.01,
-      medium: 0.02,
-      high: 0.03,
-      extreme: 0.04,
-    };
-    const vol = volMap[volatility] || 0.02;
-
-    for (let i = 0; i < numCandles; i++) {
-      let change, volume;
-
-      if (i < rugPoint) {
-        // Pre-rug: slight pump
-        change = this.random(-vol * 0.5, vol * 1.5);
-        volume = 100000 + Math.random() * 50000;
-      } else if (i === rugPoint) {
-        // The rug
-        change = -this.random(0.85, 0.95);
-        volume = 500000 + Math.random() * 500000;
-      } else {
-        // Post-rug: dead
-        change = this.random(-0.001, 0.001);
-        volume = 1000 + Math.random() * 5000;
+      let high = open;
+      let low = open;
+      let volumeSol = 0;
+
+      for (let t = 0; t < tradeCount && !curve.isComplete(); t++) {
+        const sizeSol = Math.min(
+          medianTradeSol * Math.exp(this.gaussianRandom() * sigma),
+          25
+        );
+        // Past the safety limit only buys remain, so the run always ends
+        const isBuy = i >= maxCandles || this.rng() < buyChance;
+        // Nothing sold yet means nothing to sell, so that order is a buy
+        const trade =
+          (!isBuy && curve.sell(sizeSol / curve.price())) || curve.buy(sizeSol);
+        if (!trade) continue;
+
+        volumeSol += trade.sol;
+        const mcap = toMcap();
+        high = Math.max(high, mcap);
+        low = Math.min(low, mcap);
       }
 
-      const open = currentMcap;
-      const close = Math.max(this.INITIAL_MCAP * 0.1, open * (1 + change));
-
-      const wickFactor = i === rugPoint ? 0.2 : 0.5;
-      const wickSize = vol * currentMcap * wickFactor;
-      const high = Math.max(open, close) + Math.random() * wickSize;
-      const low = Math.min(open, close) - Math.random() * wickSize * 2;
+      const close = toMcap();
+      candles.push({
+        open,
+        high,
+        low,
+        close,
+        volume: Math.max(volumeSol * this.SOL_PRICE, 1),
+        phase: currentPhase.name,
+      });
 
-      candles.push({ open, high, low, close, volume });
       currentMcap = close;
     }
 
     return candles;
   }
 
-  generateSlowBleed(startMcap, numCandles, volatility) {
-    const candles = [];
-    let currentMcap = startMcap;
-
-    const volMap = {
-      low: 0.01,
-      medium: 0.015,
-      high: 0.02,
-      extreme: 0.025,
-    };
-    const vol = volMap[volatility] || 0.015;
-
-    // Target 10-20% of starting
-    const targetMcap = startMcap * this.random(0.1, 0.2);
-    const totalDecline = Math.log(targetMcap / startMcap);
-    const baseDecline = totalDecline / numCandles;
-
-    for (let i = 0; i < numCandles; i++) {
-      const progress = i / numCandles;
-
-      // Accelerating decline
-      const decline = baseDecline * (1 + progress * 2);
-
-      // Occasional relief rally
-      const hasRally = Math.random() < 0.08;
-      const rally = hasRally ? Math.abs(this.gaussianRandom()) * vol * 2 : 0;
-
-      const noise = this.gaussianRandom() * vol;
-      const change = decline + noise + rally;
-
-      const open = currentMcap;
-      const close = Math.max(this.INITIAL_MCAP * 0.5, open * (1 + change));
-
-      const wickSize = vol * currentMcap * 0.5;
-      const high = Math.max(open, close) + Math.random() * wickSize;
-      const low = Math.min(open, close) - Math.random() * wickSize;
-
-      // Declining volume
-      const volume = 100000 - progress * 70000 + Math.random() * 30000;
-
-      candles.push({ open, high, low, close, volume });
-      currentMcap = close;
+  // Knuth's method - fine for the small means used for trade counts
+  poissonRandom(mean) {
+    const limit = Math.exp(-mean);
+    let count = 0;
+    let product = this.rng();
+    while (product > limit) {
+      count++;
+      product *= this.rng();
     }
-
-    return candles;
+    return count;
   }
 
-  generateConsolidation(startMcap, numCandles, volatility) {
-    const candles = [];
-    let currentMcap = startMcap;
-
-    const volMap = {
-      low: 0.008,
-      medium: 0.012,
-      high: 0.016,
-      extreme: 0.02,
-    };
-    const vol = volMap[volatility] || 0.012;
-
-    const consolidationEnd = Math.floor(numCandles * 0.7);
-    const breakoutUp = Math.random() > 0.5;
-
-    // Define range
-    const rangeHigh = startMcap * 1.1;
-    const rangeLow = startMcap * 0.9;
-    const rangeCenter = (rangeHigh + rangeLow) / 2;
-
-    for (let i = 0; i < numCandles; i++) {
-      let change, volume;
-
-      if (i < consolidationEnd) {
-        // Consolidation: bounce between support and resistance
-        const rangeProgress = i / consolidationEnd;
-        const rangeTightening = 1 - rangeProgress * 0.5;
-
-        // Oscillate within range
-        const distFromCenter = (currentMcap - rangeCenter) / rangeCenter;
-        const pullToCenter = -distFromCenter * 0.1;
-
-        change =
-          pullToCenter +
-          Math.sin(i * 0.15) * vol * rangeTightening +
-          this.gaussianRandom() * vol * 0.5;
-        volume = 60000 + Math.random() * 40000;
-      } else {
-        // Breakout
-        const breakoutProgress =
-          (i - consolidationEnd) / (numCandles - consolidationEnd);
-        const breakoutStrength =
-          (breakoutUp ? 0.008 : -0.008) * (1 + breakoutProgress);
-
-        change = breakoutStrength + this.gaussianRandom() * vol;
-        volume = 150000 + Math.random() * 100000;
-      }
-
-      const open = currentMcap;
-      const close = open * (1 + change);
-
-      const wickSize = vol * currentMcap * 0.3;
-      const high = Math.max(open, close) + Math.random() * wickSize;
-      const low = Math.min(open, close) - Math.random() * wickSize;
-
-      candles.push({ open, high, low, close, volume });
-      currentMcap = close;
-    }
-
-    return candles;
+  // Post-bonding candles from a checked scenario script (scenarios.js)
+  generatePostBonding(
+    startMcap,
+    script,
+    volatility,
+    market,
+    clarity = ChartGenerator.DIFFICULTIES.medium
+  ) {
+    return this.scenarios.run(script, {
+      startMcap,
+      volatility,
+      market,
+      clarity,
+    });
   }
 
   calculateMetadata(data) {
@@ -703,9 +997,114 @@ class ChartGenerator {
       peakMcap: Math.max(...marketCaps),
       minMcap: Math.min(...marketCaps),
       totalCandles: data.length,
+      tokenSupply: this.TOKEN_SUPPLY,
     };
   }
 }
 
-// Export for use
-window.ChartGenerator = ChartGenerator;
+// Built-in post-bonding scenarios (ScenarioEngine.BUILT_IN), in the order
+// the random pick draws from
+ChartGenerator.SCENARIOS = [
+  "organic",
+  "pump_dump",
+  "instant_rug",
+  "slow_bleed",
+  "consolidation",
+];
+
+ChartGenerator.SIMULATIONS = ["stochastic", "agents"];
+
+ChartGenerator.VOLUME_PROFILES = [
+  "increasing",
+  "decreasing",
+  "stable",
+  "sporadic",
+];
+
+ChartGenerator.PRE_BONDING_ENGINES = ["random_walk", "curve"];
+
+ChartGenerator.POST_BONDING_MODES = ["capped", "uncapped"];
+
+// Signal-to-noise by difficulty ("difficulty progression: start with clear
+// patterns, progressively add noise and ambiguity"), applied to every
+// scenario script (scenarios.js). medium runs scripts as written.
+//   noise      multiplier on every random component
+//   signal     multiplier on scripted phase drift
+//   transition share of each phase spent easing in from the last one
+//   fakeouts   failed breakouts in phases that allow them
+//   drop       multiplier on one-candle drops such as the instant rug
+//   rallies    multiplier on relief-rally chance
+ChartGenerator.DIFFICULTIES = {
+  easy: {
+    noise: 0.6,
+    signal: 1.3,
+    transition: 0,
+    fakeouts: 0,
+    drop: 1.04,
+    rallies: 0.5,
+  },
+  medium: {
+    noise: 1,
+    signal: 1,
+    transition: 0,
+    fakeouts: 0,
+    drop: 1,
+    rallies: 1,
+  },
+  hard: {
+    noise: 1.3,
+    signal: 0.8,
+    transition: 0.3,
+    fakeouts: 2,
+    drop: 0.78,
+    rallies: 1.5,
+  },
+  adversarial: {
+    noise: 1.6,
+    signal: 0.6,
+    transition: 0.5,
+    fakeouts: 4,
+    drop: 0.56,
+    rallies: 2,
+  },
+};
+
+// Model constants generate() accepts as `model` (FrontEndSandbox.md
+// section 2). The random-walk pre-bonding engine uses them all; the curve
+// engine and agent simulations take the bonding level and candle range.
+//   initialMcap        pre-bonding start market cap
+//   bondingMcap        graduation level - the post-bonding ceiling in capped
+//                      markets
+//   preBondingCandles  [min, max] pre-bonding run length in 1m candles
+//   zoneTarget         consolidation zone peak as a share of bondingMcap
+//   breakoutThreshold  price over this multiple of the zone path runs free
+//   meanReversion      pull back toward the zone path per unit of deviation
+//   momentumDecay      share of short-term momentum kept each candle
+//   memoryDecay        share of long-term memory kept each candle
+//   cycleFrequency     radians per candle of the bull/bear cycle
+//   cycleAmplitude     cycle strength in units of volatility (x0.2)
+ChartGenerator.MODEL_DEFAULTS = {
+  initialMcap: 5000,
+  bondingMcap: 100000,
+  preBondingCandles: [150, 400],
+  zoneTarget: 0.4,
+  breakoutThreshold: 1.5,
+  meanReversion: 0.008,
+  momentumDecay: 0.85,
+  memoryDecay: 0.97,
+  cycleFrequency: 0.05,
+  cycleAmplitude: 0.5,
+};
+
+// Uncapped pump multipliers (varietyParameters.postBonding.initialPumpStrength)
+ChartGenerator.PUMP_STRENGTHS = [1.5, 2, 3, 5, 10];
+
+// Fixed default start (2024-01-01 00:00 UTC) so timestamps never depend on the clock
+ChartGenerator.DEFAULT_START_TIME = 1704067200;
+
+// Export for use - CommonJS in Node, page global in the browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ChartGenerator;
+} else {
+  window.ChartGenerator = ChartGenerator;
+}
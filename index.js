@@ -0,0 +1,25 @@
+// Node entry point - the browser loads the same files through index.html
+module.exports = {
+  ChartGenerator: require("./generator.js"),
+  ChartTestSuite: require("./batch.js"),
+  ChartAnalyzer: require("./analysis.js"),
+  PatternLibrary: require("./patterns.js"),
+  CandleValidator: require("./validation.js"),
+  BondingCurve: require("./bondingcurve.js"),
+  TraderSimulation: require("./agents.js"),
+  CandleResampler: require("./timeframes.js"),
+  TechnicalIndicators: require("./indicators.js"),
+  ChartThemes: require("./themes.js"),
+  ChartFormats: require("./formats.js"),
+  QuestionGenerator: require("./questions.js"),
+  AnswerScorer: require("./evaluation.js"),
+  ChartReplay: require("./replay.js"),
+  ScenarioEngine: require("./scenarios.js"),
+  RealismAnalyzer: require("./realism.js"),
+  CandleValidationError: require("./validation.js").CandleValidationError,
+  // Loaded on first use: it needs the native @napi-rs/canvas, which the
+  // generator and the rest of the API do not
+  get ChartRenderer() {
+    return require("./renderer.js");
+  },
+};
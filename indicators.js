@@ -0,0 +1,135 @@
+// Technical indicators over generated OHLCV data. Every series is aligned
+// with the input candles, with null where the indicator has not warmed up.
+class TechnicalIndicators {
+  constructor() {
+    // Statistical helpers from simple-statistics
+    this.stats = typeof ss !== "undefined" ? ss : require("simple-statistics");
+  }
+
+  closes(data) {
+    return data.map((candle) => candle.close);
+  }
+
+  // Simple moving average of the last `period` values
+  sma(values, period) {
+    return values.map((_, i) =>
+      i < period - 1
+        ? null
+        : this.stats.mean(values.slice(i - period + 1, i + 1))
+    );
+  }
+
+  // Exponential moving average, seeded with the first full-period SMA
+  ema(values, period) {
+    const k = 2 / (period + 1);
+    let previous = null;
+
+    return values.map((value, i) => {
+      if (i < period - 1) return null;
+      previous =
+        previous === null
+          ? this.stats.mean(values.slice(0, period))
+          : value * k + previous * (1 - k);
+      return previous;
+    });
+  }
+
+  // Volume-weighted average of the typical price (high + low + close) / 3,
+  // anchored at the first candle of the chart
+  vwap(data) {
+    let priceVolume = 0;
+    let volume = 0;
+
+    return data.map((candle) => {
+      priceVolume +=
+        ((candle.high + candle.low + candle.close) / 3) * candle.volume;
+      volume += candle.volume;
+      return volume > 0 ? priceVolume / volume : null;
+    });
+  }
+
+  // SMA middle band with bands `multiplier` standard deviations either side
+  bollinger(values, period = 20, multiplier = 2) {
+    const middle = this.sma(values, period);
+    const deviation = values.map((_, i) =>
+      i < period - 1
+        ? null
+        : this.stats.standardDeviation(values.slice(i - period + 1, i + 1))
+    );
+
+    return {
+      middle,
+      upper: middle.map((m, i) =>
+        m === null ? null : m + multiplier * deviation[i]
+      ),
+      lower: middle.map((m, i) =>
+        m === null ? null : m - multiplier * deviation[i]
+      ),
+    };
+  }
+
+  // Relative strength index with Wilder's smoothing (0-100)
+  rsi(values, period = 14) {
+    const result = values.map(() => null);
+    if (values.length <= period) return result;
+
+    let gain = 0;
+    let loss = 0;
+    for (let i = 1; i <= period; i++) {
+      const change = values[i] - values[i - 1];
+      gain += Math.max(change, 0);
+      loss += Math.max(-change, 0);
+    }
+    gain /= period;
+    loss /= period;
+
+    const toRsi = () => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+    result[period] = toRsi();
+
+    for (let i = period + 1; i < values.length; i++) {
+      const change = values[i] - values[i - 1];
+      gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+      loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+      result[i] = toRsi();
+    }
+
+    return result;
+  }
+
+  // Everything the chart config asks for in one pass
+  // options: { maPeriods, emaPeriods, bollinger: { period, multiplier }, rsiPeriod }
+  compute(data, options = {}) {
+    const {
+      maPeriods = TechnicalIndicators.DEFAULT_MA_PERIODS,
+      emaPeriods = TechnicalIndicators.DEFAULT_EMA_PERIODS,
+      bollinger = {},
+      rsiPeriod = 14,
+    } = options;
+    const closes = this.closes(data);
+
+    const byPeriod = (periods, method) =>
+      Object.fromEntries(
+        periods.map((period) => [period, method(closes, period)])
+      );
+
+    return {
+      sma: byPeriod(maPeriods, (values, period) => this.sma(values, period)),
+      ema: byPeriod(emaPeriods, (values, period) => this.ema(values, period)),
+      vwap: this.vwap(data),
+      bollinger: this.bollinger(closes, bollinger.period, bollinger.multiplier),
+      rsi: this.rsi(closes, rsiPeriod),
+    };
+  }
+}
+
+// FrontEndSandbox.md chartRenderConfig.indicators.showMA
+TechnicalIndicators.DEFAULT_MA_PERIODS = [20, 50, 200];
+// Short EMAs for the app's EMA overlay, next to the slower SMAs
+TechnicalIndicators.DEFAULT_EMA_PERIODS = [9, 21];
+
+// Export for use - CommonJS in Node, page global in the browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TechnicalIndicators;
+} else {
+  window.TechnicalIndicators = TechnicalIndicators;
+}
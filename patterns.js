@@ -0,0 +1,250 @@
+// Chart patterns that can be injected into the pre-bonding path.
+// A pattern is a list of per-candle steps:
+//   change     close-to-close return for the candle
+//   upperWick  extra wick above the body, as a fraction of price (0 = default)
+//   lowerWick  extra wick below the body, as a fraction of price (0 = default)
+//   volumeMult volume multiplier for the candle
+class PatternLibrary {
+  constructor(random) {
+    // Seeded random helpers (the ChartGenerator instance)
+    this.random = random;
+  }
+
+  // Spread a total return evenly (compounded) across `count` candles
+  spread(totalReturn, count) {
+    const step = Math.pow(1 + totalReturn, 1 / count) - 1;
+    return Array.from({ length: count }, () => step);
+  }
+
+  step(change, details = {}) {
+    return { change, upperWick: 0, lowerWick: 0, volumeMult: 1, ...details };
+  }
+
+  // Sideways zone with one sharp volume spike that gets sold straight back
+  accumulationSpike(length, strength) {
+    const spikeAt = this.random.randomInt(
+      Math.floor(length * 0.4),
+      Math.floor(length * 0.7)
+    );
+
+    return Array.from({ length }, (_, i) => {
+      if (i === spikeAt) {
+        return this.step(0.06 * strength, {
+          upperWick: 0.12 * strength,
+          volumeMult: 4,
+        });
+      }
+      if (i === spikeAt + 1) {
+        return this.step(-0.05 * strength, { volumeMult: 2 });
+      }
+      return this.step(0, { volumeMult: 0.6 });
+    });
+  }
+
+  // Sharp rise through the range, then rejection back below it
+  failedBreakout(length, strength) {
+    const rise = Math.max(2, Math.floor(length * 0.6));
+    const fall = length - rise;
+    const move = 0.25 * strength;
+
+    return [
+      ...this.spread(move, rise).map((change, i) =>
+        this.step(change, {
+          volumeMult: 1.5,
+          upperWick: i === rise - 1 ? 0.1 * strength : 0,
+        })
+      ),
+      ...this.spread(1 / (1 + move) - 1, fall).map((change) =>
+        this.step(change, { volumeMult: 2 })
+      ),
+    ];
+  }
+
+  // Vertical move up, flat top, vertical move down
+  bart(length, strength) {
+    const leg = Math.max(2, Math.floor(length * 0.2));
+    const move = 0.35 * strength;
+
+    return [
+      ...this.spread(move, leg).map((change) =>
+        this.step(change, { volumeMult: 3 })
+      ),
+      ...Array.from({ length: length - leg * 2 }, () =>
+        this.step(0, { volumeMult: 0.5 })
+      ),
+      ...this.spread(1 / (1 + move) - 1, leg).map((change) =>
+        this.step(change, { volumeMult: 3 })
+      ),
+    ];
+  }
+
+  // Rapid alternating moves with long wicks on both sides
+  whipsaw(length, strength) {
+    const swing = 0.08 * strength;
+
+    return Array.from({ length }, (_, i) =>
+      this.step(i % 2 === 0 ? swing : 1 / (1 + swing) - 1, {
+        upperWick: swing * 0.5,
+        lowerWick: swing * 0.5,
+        volumeMult: 1.8,
+      })
+    );
+  }
+
+  // Quiet drift, one wick deep below support, then recovery
+  stopHunt(length, strength) {
+    const huntAt = length - 2;
+
+    return Array.from({ length }, (_, i) => {
+      if (i === huntAt) {
+        return this.step(-0.01, {
+          lowerWick: 0.15 * strength,
+          volumeMult: 3.5,
+        });
+      }
+      if (i === huntAt + 1) {
+        return this.step(0.04 * strength, { volumeMult: 2 });
+      }
+      return this.step(-0.002, { volumeMult: 0.8 });
+    });
+  }
+
+  // Two rejections from the same high with a dip in between
+  doubleTop(length, strength) {
+    const quarter = Math.max(2, Math.floor(length / 4));
+    const rise = 0.2 * strength;
+    const dip = 0.1 * strength;
+    const peak = (changes, index) =>
+      index === changes.length - 1 ? 0.04 * strength : 0;
+
+    const legs = [
+      this.spread(rise, quarter),
+      this.spread(-dip, quarter),
+      this.spread(1 / (1 - dip) - 1, quarter),
+      this.spread(1 / (1 + rise) - 1, length - quarter * 3),
+    ];
+
+    return [
+      ...legs[0].map((c, i) => this.step(c, { upperWick: peak(legs[0], i) })),
+      ...legs[1].map((c) => this.step(c)),
+      ...legs[2].map((c, i) => this.step(c, { upperWick: peak(legs[2], i) })),
+      ...legs[3].map((c) => this.step(c, { volumeMult: 1.5 })),
+    ];
+  }
+
+  // Patterns asked for per type, with the fakeout and accumulation
+  // shorthands folded in. Counts must be whole, or the placed patterns
+  // could never match the request.
+  requested(options = {}) {
+    const { counts = {}, fakeoutCount = 0, accumulationPeriods = 0 } = options;
+    const checkCount = (name, count) => {
+      if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`Pattern count ${name} must be a whole number >= 0`);
+      }
+    };
+    Object.entries(counts).forEach(([type, count]) => checkCount(type, count));
+    checkCount("fakeoutCount", fakeoutCount);
+    checkCount("accumulationPeriods", accumulationPeriods);
+
+    return {
+      ...counts,
+      failed_breakout: (counts.failed_breakout || 0) + fakeoutCount,
+      accumulation_spike:
+        (counts.accumulation_spike || 0) + accumulationPeriods,
+    };
+  }
+
+  // Place the requested patterns at seeded, non-overlapping positions.
+  // options: { counts: { type: n }, fakeoutCount, accumulationPeriods, strength }
+  plan(numCandles, options = {}) {
+    const { strength = 1 } = options;
+    // Past MAX_STRENGTH a jittered leg or wick can reach -100%
+    if (
+      typeof strength !== "number" ||
+      !(strength > 0) ||
+      strength > PatternLibrary.MAX_STRENGTH
+    ) {
+      throw new Error(
+        `Pattern strength must be above 0 and at most ${PatternLibrary.MAX_STRENGTH}`
+      );
+    }
+    const requested = this.requested(options);
+
+    const instances = [];
+    Object.keys(requested).forEach((type) => {
+      const spec = PatternLibrary.PATTERNS[type];
+      if (!spec) throw new Error(`Unknown pattern "${type}"`);
+
+      for (let i = 0; i < requested[type]; i++) {
+        instances.push({
+          type,
+          length: this.random.randomInt(spec.length[0], spec.length[1]),
+          strength: strength * this.random.random(0.8, 1.2),
+        });
+      }
+    });
+
+    // Shuffle so pattern order along the chart is seeded too
+    for (let i = instances.length - 1; i > 0; i--) {
+      const j = this.random.randomInt(0, i);
+      [instances[i], instances[j]] = [instances[j], instances[i]];
+    }
+
+    // Drop patterns that cannot fit with a gap between them (the chart's
+    // metadata.patterns shows requested against placed)
+    const gap = PatternLibrary.MIN_GAP;
+    let used = gap;
+    const placed = instances.filter((instance) => {
+      if (used + instance.length + gap > numCandles) return false;
+      used += instance.length + gap;
+      return true;
+    });
+
+    // Share the free space randomly between the gaps
+    const free = numCandles - used;
+    const cuts = placed
+      .map(() => this.random.random(0, free))
+      .sort((a, b) => a - b);
+    let cursor = gap;
+
+    return placed.map((instance, i) => {
+      const startIndex = cursor + Math.floor(cuts[i]);
+      cursor += instance.length + gap;
+
+      return {
+        ...instance,
+        startIndex,
+        endIndex: startIndex + instance.length - 1,
+        steps: this[PatternLibrary.PATTERNS[instance.type].build](
+          instance.length,
+          instance.strength
+        ),
+      };
+    });
+  }
+}
+
+// Builder method and candle length range per pattern type
+PatternLibrary.PATTERNS = {
+  accumulation_spike: { build: "accumulationSpike", length: [20, 40] },
+  failed_breakout: { build: "failedBreakout", length: [8, 16] },
+  bart: { build: "bart", length: [15, 30] },
+  whipsaw: { build: "whipsaw", length: [6, 12] },
+  stop_hunt: { build: "stopHunt", length: [6, 10] },
+  double_top: { build: "doubleTop", length: [20, 40] },
+};
+
+// Largest strength option. Patterns jitter it by up to 1.2x, and the
+// deepest moves (the stop hunt's 0.15 lower wick, the double top's 0.1 dip)
+// must stay well short of -100%.
+PatternLibrary.MAX_STRENGTH = 5;
+
+// Candles kept free between patterns and at the start of the chart
+PatternLibrary.MIN_GAP = 5;
+
+// Export for use - CommonJS in Node, page global in the browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PatternLibrary;
+} else {
+  window.PatternLibrary = PatternLibrary;
+}
@@ -0,0 +1,217 @@
+// Question/answer pairs for vision-model evaluation (FrontEndSandbox.md
+// generateTestQuestions). Every answer is computed from the chart's own data
+// and annotations, with a difficulty tag and the tolerance a scorer should
+// allow. Indices are 0-based candle indices on the chart's timeframe.
+class QuestionGenerator {
+  constructor(settings = {}) {
+    const Generator =
+      typeof ChartGenerator !== "undefined"
+        ? ChartGenerator
+        : require("./generator.js");
+    this.scenarios = Generator.SCENARIOS;
+
+    this.predictionCandles = settings.predictionCandles ?? 10;
+    // Close-to-close move that counts as "up"/"down" rather than "sideways"
+    this.trendThreshold = settings.trendThreshold ?? 0.05;
+  }
+
+  // Every question that applies to the chart; pre-bonding charts have no
+  // scenario, and charts that never bond have no bonding point
+  generate(chart) {
+    const questions = [
+      this.bondingPoint(chart),
+      this.postBondingPattern(chart),
+      this.rugPullPoint(chart),
+      this.nextCandles(chart),
+      this.keyLevels(chart),
+      this.maxDrawdown(chart),
+      this.manipulation(chart),
+    ].filter(Boolean);
+
+    return questions.map((question) => ({ chartId: chart.id, ...question }));
+  }
+
+  toJSONL(questions) {
+    return (
+      questions.map((question) => JSON.stringify(question)).join("\n") + "\n"
+    );
+  }
+
+  bondingPoint(chart) {
+    const index = chart.metadata.bondingCandleIndex;
+    // Post-only charts start on the bonding candle, so there is nothing to find
+    if (index === null || index === 0) return null;
+
+    return {
+      questionId: "bonding_point",
+      question:
+        "Identify the bonding point in this chart. Answer with the index of the first post-bonding candle.",
+      answerType: "index",
+      answer: index,
+      tolerance: { candles: 3 },
+      difficulty: "easy",
+    };
+  }
+
+  postBondingPattern(chart) {
+    if (chart.options.chartType === "pre") return null;
+    // Custom scenario scripts add their own name to the built-in choices
+    const choices = this.scenarios.includes(chart.scenario)
+      ? this.scenarios
+      : [...this.scenarios, chart.scenario];
+
+    return {
+      questionId: "post_bonding_pattern",
+      question: `What is the primary pattern after bonding? Answer with one of: ${choices.join(
+        ", "
+      )}.`,
+      answerType: "choice",
+      choices,
+      answer: chart.scenario,
+      tolerance: null,
+      difficulty: "medium",
+    };
+  }
+
+  rugPullPoint(chart) {
+    const rug = chart.annotations.events.find(
+      (event) => event.type === "rug_pull"
+    );
+    if (!rug) return null;
+
+    return {
+      questionId: "rug_pull_point",
+      question:
+        "At which candle does the rug pull happen? Answer with the candle index.",
+      answerType: "index",
+      answer: rug.index,
+      tolerance: { candles: 3 },
+      difficulty: "medium",
+    };
+  }
+
+  // The model sees only the first visibleCandles candles; the answer is how
+  // the hidden continuation moves from the last visible close
+  nextCandles(chart) {
+    const { data } = chart;
+    const n = this.predictionCandles;
+    if (data.length < n * 3) return null;
+
+    const visibleCandles = data.length - n;
+    const from = data[visibleCandles - 1].close;
+    const to = data[data.length - 1].close;
+    const change = (to - from) / from;
+
+    let direction = "sideways";
+    if (change > this.trendThreshold) direction = "up";
+    if (change < -this.trendThreshold) direction = "down";
+
+    return {
+      questionId: "next_candles",
+      question: `Showing the first ${visibleCandles} candles only: predict the likely next ${n}-candle movement. Answer with one of: up, down, sideways.`,
+      answerType: "choice",
+      choices: ["up", "down", "sideways"],
+      answer: direction,
+      tolerance: null,
+      difficulty: "hard",
+      visibleCandles,
+      details: { changePercent: this.round(change * 100) },
+    };
+  }
+
+  keyLevels(chart) {
+    const levels = chart.annotations.keyLevels;
+    if (levels.length === 0) return null;
+
+    return {
+      questionId: "key_levels",
+      question:
+        "Identify all major support and resistance levels. Answer with a list of { type: support|resistance, marketCap } in USD.",
+      answerType: "levels",
+      answer: levels.map((level) => ({
+        type: level.type,
+        marketCap: this.round(level.marketCap),
+      })),
+      tolerance: { relative: 0.05 },
+      difficulty: "medium",
+    };
+  }
+
+  maxDrawdown(chart) {
+    return {
+      questionId: "max_drawdown",
+      question:
+        "Calculate the maximum drawdown percentage: the largest fall from a peak close to a later close.",
+      answerType: "number",
+      answer: this.round(this.calculateMaxDrawdown(chart.data)),
+      tolerance: { relative: 0.1 },
+      difficulty: "easy",
+    };
+  }
+
+  manipulation(chart) {
+    const evidence = this.detectManipulation(chart);
+
+    return {
+      questionId: "manipulation",
+      question:
+        "Is this chart showing signs of manipulation (pump and dump, rug pull, dev dumping, stop hunts)? Answer yes or no.",
+      answerType: "boolean",
+      answer: evidence.length > 0,
+      tolerance: null,
+      difficulty: "hard",
+      details: { evidence },
+    };
+  }
+
+  // Largest peak-to-later-trough fall in closes, in percent
+  calculateMaxDrawdown(data) {
+    let peak = data[0].close;
+    let drawdown = 0;
+
+    data.forEach((candle) => {
+      peak = Math.max(peak, candle.close);
+      drawdown = Math.max(drawdown, (peak - candle.close) / peak);
+    });
+
+    return drawdown * 100;
+  }
+
+  // Manipulation events and injected manipulation patterns in the chart
+  detectManipulation(chart) {
+    const { events, patterns } = chart.annotations;
+    const found = new Set();
+
+    events.forEach((event) => {
+      if (QuestionGenerator.MANIPULATION_EVENTS.includes(event.type)) {
+        found.add(event.type);
+      }
+    });
+    patterns.forEach((pattern) => {
+      if (QuestionGenerator.MANIPULATION_PATTERNS.includes(pattern.type)) {
+        found.add(pattern.type);
+      }
+    });
+
+    return [...found];
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+QuestionGenerator.MANIPULATION_EVENTS = [
+  "pump_start",
+  "dump_start",
+  "rug_pull",
+  "dev_sell",
+];
+QuestionGenerator.MANIPULATION_PATTERNS = ["bart", "stop_hunt"];
+
+// Export for use - CommonJS in Node, page global in the browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = QuestionGenerator;
+} else {
+  window.QuestionGenerator = QuestionGenerator;
+}
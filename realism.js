@@ -0,0 +1,219 @@
+// Statistical realism of a generated chart: how closely its returns show
+// the stylized facts of real markets - fat tails, little linear
+// autocorrelation, volatility clustering and volume that follows big moves.
+// Returns are log returns of consecutive closes.
+class RealismAnalyzer {
+  constructor() {
+    // Statistical helpers from simple-statistics
+    this.stats = typeof ss !== "undefined" ? ss : require("simple-statistics");
+  }
+
+  // Report for one chart's candles; `phases` holds one phase label per
+  // candle (annotations.phases), and each return counts toward the phase of
+  // the candle it closes on
+  analyze(candles, phases = []) {
+    const returns = [];
+    const volumes = [];
+    for (let i = 1; i < candles.length; i++) {
+      returns.push(Math.log(candles[i].close / candles[i - 1].close));
+      volumes.push(candles[i].volume);
+    }
+    const absReturns = returns.map(Math.abs);
+    // Rough 95% band for a correlation of zero
+    const bound = returns.length > 0 ? 2 / Math.sqrt(returns.length) : null;
+
+    const autocorrelation = { returns: {}, absReturns: {} };
+    RealismAnalyzer.LAGS.forEach((lag) => {
+      autocorrelation.returns[lag] = this.autocorrelation(returns, lag);
+      autocorrelation.absReturns[lag] = this.autocorrelation(absReturns, lag);
+    });
+
+    const report = {
+      returns: returns.length,
+      realizedVolatility: this.guard(() =>
+        this.stats.sampleStandardDeviation(returns)
+      ),
+      skewness: this.guard(() => this.stats.sampleSkewness(returns)),
+      excessKurtosis: this.guard(() => this.stats.sampleKurtosis(returns)),
+      autocorrelation,
+      volumeReturnCorrelation: this.guard(() =>
+        this.stats.sampleCorrelation(volumes, absReturns)
+      ),
+      maxDrawdown: this.maxDrawdown(candles),
+      phases: this.phaseVolatility(returns, phases),
+    };
+
+    const returnAcf = autocorrelation.returns[1];
+    const absReturnAcf = autocorrelation.absReturns[1];
+    report.stylizedFacts = {
+      fatTails: report.excessKurtosis !== null && report.excessKurtosis > 0,
+      noReturnAutocorrelation:
+        returnAcf !== null && Math.abs(returnAcf) <= bound,
+      volatilityClustering: absReturnAcf !== null && absReturnAcf > bound,
+      volumeFollowsMoves:
+        report.volumeReturnCorrelation !== null &&
+        report.volumeReturnCorrelation > bound,
+    };
+    return report;
+  }
+
+  // Null where a statistic is undefined (too few returns, a flat series)
+  guard(compute) {
+    try {
+      const value = compute();
+      return Number.isFinite(value) ? value : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  autocorrelation(values, lag) {
+    if (values.length <= lag + 1) return null;
+    const mean = this.stats.mean(values);
+    let numerator = 0;
+    let denominator = 0;
+    values.forEach((value, i) => {
+      denominator += (value - mean) ** 2;
+      if (i >= lag) numerator += (value - mean) * (values[i - lag] - mean);
+    });
+    return denominator > 0 ? numerator / denominator : null;
+  }
+
+  // Largest close-to-close fall from a running peak, as a 0-1 share
+  maxDrawdown(candles) {
+    const drawdown = { percent: 0, peakIndex: null, troughIndex: null };
+    let peakIndex = 0;
+
+    candles.forEach((candle, i) => {
+      if (candle.close > candles[peakIndex].close) peakIndex = i;
+      const fall = 1 - candle.close / candles[peakIndex].close;
+      if (fall > drawdown.percent) {
+        Object.assign(drawdown, { percent: fall, peakIndex, troughIndex: i });
+      }
+    });
+    return drawdown;
+  }
+
+  // { [phase]: { returns, realizedVolatility } } in order of appearance
+  phaseVolatility(returns, phases) {
+    const groups = {};
+    returns.forEach((value, i) => {
+      const phase = phases[i + 1] ?? "unknown";
+      (groups[phase] = groups[phase] || []).push(value);
+    });
+
+    return Object.fromEntries(
+      Object.entries(groups).map(([phase, values]) => [
+        phase,
+        {
+          returns: values.length,
+          realizedVolatility: this.guard(() =>
+            this.stats.sampleStandardDeviation(values)
+          ),
+        },
+      ])
+    );
+  }
+
+  // The headline numbers of a report, for manifests and batch summaries
+  headline(report) {
+    return {
+      realizedVolatility: report.realizedVolatility,
+      skewness: report.skewness,
+      excessKurtosis: report.excessKurtosis,
+      returnAutocorrelation: report.autocorrelation.returns[1],
+      absReturnAutocorrelation: report.autocorrelation.absReturns[1],
+      volumeReturnCorrelation: report.volumeReturnCorrelation,
+      maxDrawdown: report.maxDrawdown.percent,
+      stylizedFacts: report.stylizedFacts,
+    };
+  }
+
+  // Batch QA over many headlines: the spread of each metric, and the share
+  // of charts showing each stylized fact
+  summarize(headlines) {
+    const metrics = {};
+    RealismAnalyzer.METRICS.forEach((metric) => {
+      const values = headlines
+        .map((headline) => headline[metric])
+        .filter((value) => value !== null && value !== undefined);
+      metrics[metric] =
+        values.length === 0
+          ? null
+          : {
+              mean: this.stats.mean(values),
+              median: this.stats.median(values),
+              min: this.stats.min(values),
+              max: this.stats.max(values),
+            };
+    });
+
+    const stylizedFacts = {};
+    RealismAnalyzer.FACTS.forEach((fact) => {
+      const shown = headlines.filter((h) => h.stylizedFacts[fact]).length;
+      stylizedFacts[fact] =
+        headlines.length > 0 ? shown / headlines.length : null;
+    });
+
+    return { charts: headlines.length, metrics, stylizedFacts };
+  }
+
+  // Plain-text table of a summary from summarize()
+  formatSummary(summary) {
+    const number = (value) =>
+      value === null ? "-".padStart(9) : value.toFixed(4).padStart(9);
+    const lines = [
+      `Realism over ${summary.charts} chart(s)`,
+      `  ${"".padEnd(26)}${["mean", "median", "min", "max"]
+        .map((label) => label.padStart(9))
+        .join("")}`,
+    ];
+    Object.entries(summary.metrics).forEach(([metric, spread]) => {
+      const values = spread
+        ? [spread.mean, spread.median, spread.min, spread.max]
+        : [null, null, null, null];
+      lines.push(`  ${metric.padEnd(26)}${values.map(number).join("")}`);
+    });
+
+    lines.push("", "Charts showing each stylized fact");
+    Object.entries(summary.stylizedFacts).forEach(([fact, share]) => {
+      const percent = share === null ? "-" : `${(share * 100).toFixed(1)}%`;
+      lines.push(`  ${fact.padEnd(26)}${percent.padStart(9)}`);
+    });
+    return lines.join("\n");
+  }
+}
+
+// Autocorrelation lags reported for returns and absolute returns
+RealismAnalyzer.LAGS = [1, 5, 10];
+
+// headline() fields summarized over a batch
+RealismAnalyzer.METRICS = [
+  "realizedVolatility",
+  "skewness",
+  "excessKurtosis",
+  "returnAutocorrelation",
+  "absReturnAutocorrelation",
+  "volumeReturnCorrelation",
+  "maxDrawdown",
+];
+
+// Stylized facts checked per chart. Correlations count when they clear the
+// rough 95% band of 2 / sqrt(returns):
+//   fatTails                excess kurtosis above 0
+//   noReturnAutocorrelation lag-1 return autocorrelation inside the band
+//   volatilityClustering    lag-1 |return| autocorrelation above the band
+//   volumeFollowsMoves      volume-|return| correlation above the band
+RealismAnalyzer.FACTS = [
+  "fatTails",
+  "noReturnAutocorrelation",
+  "volatilityClustering",
+  "volumeFollowsMoves",
+];
+
+// Export for use - CommonJS in Node, page global in the browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = RealismAnalyzer;
+} else {
+  window.RealismAnalyzer = RealismAnalyzer;
+}
@@ -0,0 +1,296 @@
+// Headless PNG rendering of generate() output, for building image datasets
+// without a browser. Draws the same pieces as the app - candles, bonding
+// line and marker, optional volume pane, price and time axes - using the
+// style presets from themes.js. Node only (needs @napi-rs/canvas).
+const { createCanvas, GlobalFonts } = require("@napi-rs/canvas");
+const ChartGenerator = require("./generator.js");
+const ChartThemes = require("./themes.js");
+
+class ChartRenderer {
+  constructor(settings = {}) {
+    this.width = settings.width ?? 1920;
+    this.height = settings.height ?? 1080;
+    this.showVolume = settings.showVolume ?? false;
+    this.axis = settings.axis ?? "mcap"; // "mcap" | "price"
+    this.themes = new ChartThemes(); // style presets and axis labels
+    this.theme = this.themes.get(settings.style ?? "default");
+    this.generator = new ChartGenerator({ debug: false }); // BONDING_MCAP, toTokenPrice()
+
+    // The browser font stacks rarely exist on CI boxes and the canvas maps
+    // the generic sans-serif to whatever it finds first, so name common
+    // Linux sans fonts before it. Register a font file for identical pixels
+    // on every machine.
+    this.fontFamily = this.theme.fontFamily.replace(
+      /sans-serif$/,
+      '"Liberation Sans", "DejaVu Sans", sans-serif'
+    );
+    if (settings.fontPath) {
+      GlobalFonts.registerFromPath(settings.fontPath, "ChartFont");
+      this.fontFamily = "ChartFont";
+    }
+
+    if (!ChartRenderer.AXES.includes(this.axis)) {
+      throw new Error(`axis must be one of ${ChartRenderer.AXES.join(", ")}`);
+    }
+  }
+
+  // Chart values are market caps; convert for the axis being drawn
+  toAxis(marketCap) {
+    return this.axis === "price"
+      ? this.generator.toTokenPrice(marketCap)
+      : marketCap;
+  }
+
+  formatAxis(value) {
+    return this.axis === "price"
+      ? this.themes.formatTokenPrice(value)
+      : this.themes.formatMcap(value);
+  }
+
+  // Round step near `rough` (1, 2 or 5 times a power of ten)
+  niceStep(rough) {
+    const power = Math.pow(10, Math.floor(Math.log10(rough)));
+    const fraction = rough / power;
+    const nice =
+      fraction < 1.5 ? 1 : fraction < 3.5 ? 2 : fraction < 7.5 ? 5 : 10;
+    return nice * power;
+  }
+
+  // Pixel boxes for the price pane, volume pane and axes
+  layout() {
+    const { width, height } = this;
+    const priceAxis = ChartRenderer.PRICE_AXIS_WIDTH;
+    const timeAxis = ChartRenderer.TIME_AXIS_HEIGHT;
+    const volumeHeight = this.showVolume ? Math.round(height * 0.18) : 0;
+    const plotWidth = width - priceAxis;
+    const priceHeight = height - timeAxis - volumeHeight;
+
+    return {
+      plotWidth,
+      price: { top: 0, height: priceHeight },
+      volume: { top: priceHeight, height: volumeHeight },
+      timeAxisTop: height - timeAxis,
+    };
+  }
+
+  // PNG buffer for one chart (a generate() result or exported JSON)
+  render(chart) {
+    const { data } = chart;
+    if (!data || data.length === 0) throw new Error("Chart has no candles");
+
+    const canvas = createCanvas(this.width, this.height);
+    const ctx = canvas.getContext("2d");
+    const theme = this.theme;
+    const box = this.layout();
+
+    ctx.fillStyle = theme.background;
+    ctx.fillRect(0, 0, this.width, this.height);
+    ctx.font = `${theme.fontSize}px ${this.fontFamily}`;
+    ctx.textBaseline = "middle";
+
+    // Candles fill the plot like fitContent() with a little right padding
+    const spacing = box.plotWidth / (data.length + 2);
+    const bodyWidth = Math.max(1, Math.floor(spacing * 0.8));
+    const x = (i) => Math.round(spacing * (i + 1));
+
+    // Linear price scale with the app's margins (5% top, 15% bottom)
+    const values = data.flatMap((d) => [
+      this.toAxis(d.high),
+      this.toAxis(d.low),
+    ]);
+    const max = Math.max(...values);
+    const min = Math.min(...values);
+    const range = max - min || max || 1;
+    const pane = box.price;
+    const top = pane.top + pane.height * 0.05;
+    const usable = pane.height * 0.8;
+    const y = (value) => top + ((max - value) / range) * usable;
+
+    this.drawGrid(ctx, box, { min, max, y, x, data });
+    if (this.showVolume) this.drawVolume(ctx, box, data, x, bodyWidth);
+
+    // Wicks, then bodies on top
+    data.forEach((d, i) => {
+      const up = d.close >= d.open;
+      const cx = x(i);
+      const open = y(this.toAxis(d.open));
+      const close = y(this.toAxis(d.close));
+
+      ctx.fillStyle = up ? theme.up : theme.down;
+      ctx.fillRect(
+        cx,
+        Math.round(y(this.toAxis(d.high))),
+        1,
+        Math.max(1, Math.round(y(this.toAxis(d.low)) - y(this.toAxis(d.high))))
+      );
+      ctx.fillRect(
+        cx - Math.floor(bodyWidth / 2),
+        Math.round(Math.min(open, close)),
+        bodyWidth,
+        Math.max(1, Math.round(Math.abs(close - open)))
+      );
+    });
+
+    this.drawBonding(ctx, box, chart, x, y);
+    this.drawAxes(ctx, box);
+
+    return canvas.toBuffer("image/png");
+  }
+
+  drawGrid(ctx, box, { min, max, y, x, data }) {
+    const theme = this.theme;
+    const pane = box.price;
+    const step = this.niceStep((max - min || max) / (pane.height / 60));
+    const axisLeft = box.plotWidth;
+    this.priceTicks = [];
+
+    ctx.fillStyle = theme.grid;
+    for (
+      let value = Math.ceil(min / step) * step;
+      value <= max;
+      value += step
+    ) {
+      const py = Math.round(y(value));
+      if (py < pane.top || py > pane.top + pane.height) continue;
+      if (theme.horizontalGrid) ctx.fillRect(0, py, axisLeft, 1);
+      this.priceTicks.push({ value, y: py });
+    }
+
+    // Time ticks on round UTC times (like the app's time scale), at least
+    // ~120px apart
+    const secondsPerPixel =
+      (data[data.length - 1].time - data[0].time) /
+        (x(data.length - 1) - x(0)) || 60;
+    const interval =
+      ChartRenderer.TIME_STEPS.find((step) => step / secondsPerPixel >= 120) ||
+      ChartRenderer.TIME_STEPS[ChartRenderer.TIME_STEPS.length - 1];
+    this.timeTicks = [];
+    data.forEach((candle, i) => {
+      if (candle.time % interval !== 0) return;
+      const px = x(i);
+      if (theme.verticalGrid) ctx.fillRect(px, 0, 1, box.timeAxisTop);
+      this.timeTicks.push({ time: candle.time, x: px });
+    });
+  }
+
+  drawVolume(ctx, box, data, x, bodyWidth) {
+    const pane = box.volume;
+    const maxVolume = Math.max(...data.map((d) => d.volume)) || 1;
+
+    ctx.fillStyle = this.theme.border;
+    ctx.fillRect(0, pane.top, this.width, 1);
+
+    data.forEach((d, i) => {
+      const barHeight = Math.max(
+        1,
+        Math.round((d.volume / maxVolume) * (pane.height - 8))
+      );
+      ctx.fillStyle =
+        d.close >= d.open ? this.theme.volumeUp : this.theme.volumeDown;
+      ctx.fillRect(
+        x(i) - Math.floor(bodyWidth / 2),
+        pane.top + pane.height - barHeight,
+        bodyWidth,
+        barHeight
+      );
+    });
+  }
+
+  // Dashed bonding line with its axis label, and the "Bonded" arrow
+  drawBonding(ctx, box, chart, x, y) {
+    const theme = this.theme;
+    // Charts exported before the model was recorded used the default
+    const { model } = chart.metadata;
+    const bondingMcap = model ? model.bondingMcap : this.generator.BONDING_MCAP;
+    const by = Math.round(y(this.toAxis(bondingMcap)));
+    const pane = box.price;
+
+    if (by >= pane.top && by <= pane.top + pane.height) {
+      ctx.strokeStyle = theme.bondingLine;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([6, 6]);
+      ctx.beginPath();
+      ctx.moveTo(0, by);
+      ctx.lineTo(box.plotWidth, by);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      this.axisLabel(
+        ctx,
+        box,
+        by,
+        this.formatAxis(this.toAxis(bondingMcap)),
+        theme.bondingLine
+      );
+      ctx.fillStyle = theme.bondingLine;
+      ctx.textAlign = "right";
+      ctx.fillText("Bonding", box.plotWidth - 8, by - 10);
+    }
+
+    const { bondingCandleIndex } = chart.metadata;
+    if (bondingCandleIndex === null || bondingCandleIndex === undefined) return;
+
+    const candle = chart.data[bondingCandleIndex];
+    const ax = x(bondingCandleIndex);
+    const ay = Math.round(y(this.toAxis(candle.high))) - 6;
+    ctx.fillStyle = theme.bondingLine;
+    ctx.beginPath();
+    ctx.moveTo(ax, ay);
+    ctx.lineTo(ax - 6, ay - 10);
+    ctx.lineTo(ax + 6, ay - 10);
+    ctx.closePath();
+    ctx.fill();
+    ctx.textAlign = "center";
+    ctx.fillText("Bonded", ax, ay - 20);
+  }
+
+  axisLabel(ctx, box, py, text, color) {
+    const height = this.theme.fontSize + 8;
+    ctx.fillStyle = color;
+    ctx.fillRect(
+      box.plotWidth,
+      py - height / 2,
+      this.width - box.plotWidth,
+      height
+    );
+    ctx.fillStyle = this.theme.background;
+    ctx.textAlign = "left";
+    ctx.fillText(text, box.plotWidth + 8, py);
+  }
+
+  drawAxes(ctx, box) {
+    const theme = this.theme;
+
+    // Borders between the plot and the axes
+    ctx.fillStyle = theme.border;
+    ctx.fillRect(box.plotWidth, 0, 1, box.timeAxisTop);
+    ctx.fillRect(0, box.timeAxisTop, this.width, 1);
+
+    ctx.fillStyle = theme.text;
+    ctx.textAlign = "left";
+    this.priceTicks.forEach(({ value, y }) => {
+      ctx.fillText(this.formatAxis(value), box.plotWidth + 8, y);
+    });
+
+    ctx.textAlign = "center";
+    const labelY = box.timeAxisTop + ChartRenderer.TIME_AXIS_HEIGHT / 2;
+    this.timeTicks.forEach(({ time, x }) => {
+      const date = new Date(time * 1000);
+      const pad = (n) => String(n).padStart(2, "0");
+      const text = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+      const half = ctx.measureText(text).width / 2;
+      if (x - half < 0 || x + half > box.plotWidth) return;
+      ctx.fillText(text, x, labelY);
+    });
+  }
+}
+
+ChartRenderer.AXES = ["mcap", "price"];
+ChartRenderer.PRICE_AXIS_WIDTH = 90;
+ChartRenderer.TIME_AXIS_HEIGHT = 28;
+// Candidate time tick spacings in seconds (5m up to 1 day)
+ChartRenderer.TIME_STEPS = [
+  300, 900, 1800, 3600, 7200, 14400, 21600, 43200, 86400,
+];
+
+module.exports = ChartRenderer;
@@ -0,0 +1,148 @@
+// Partial views of a generated chart for replay and prediction tests: the
+// first `visibleCandles` candles as a chart of their own, with nothing in it
+// computed from the hidden candles, and the hidden continuation as the answer
+class ChartReplay {
+  constructor(generator) {
+    this.generator = generator;
+  }
+
+  // Chart cut after `visibleCandles` candles. Only what the visible candles
+  // show is kept: no seed, scenario or options (any of them regenerates or
+  // names the rest of the chart), metadata and key levels recomputed from
+  // the visible candles, and annotations of what has already happened.
+  // Scripted phase names announce the next move (`pre_rug`, `distribution`),
+  // so candles are only labelled pre_bonding/post_bonding and phase_change
+  // events go; continuation() has the real ones. Agent holdings are
+  // end-of-chart totals, so they go too. The model stays for the bonding
+  // line drawn on the view.
+  partialChart(chart, visibleCandles) {
+    const n = this.checkIndex(chart, visibleCandles);
+    const data = chart.data.slice(0, n);
+    const { metadata, annotations } = chart;
+    const bonded =
+      metadata.bondingCandleIndex !== null && metadata.bondingCandleIndex < n;
+    const bondingCandleIndex = bonded ? metadata.bondingCandleIndex : null;
+    const phases = data.map((_, i) =>
+      bondingCandleIndex !== null && i >= bondingCandleIndex
+        ? "post_bonding"
+        : "pre_bonding"
+    );
+
+    return {
+      id: chart.id,
+      options: {},
+      data,
+      metadata: {
+        ...this.generator.calculateMetadata(data),
+        timeframe: metadata.timeframe,
+        preBondingCandles: bondingCandleIndex ?? n,
+        postBondingCandles: n - (bondingCandleIndex ?? n),
+        bondingCandleIndex,
+        visibleCandles: n,
+        model: metadata.model,
+        realism: this.generator.realism.analyze(data, phases),
+      },
+      annotations: {
+        phases,
+        events: annotations.events.filter(
+          (event) => event.index < n && event.type !== "phase_change"
+        ),
+        trades: annotations.trades.filter((trade) => trade.index < n),
+        patterns: annotations.patterns.filter(
+          (pattern) => pattern.endIndex < n
+        ),
+        agents: [],
+        keyLevels: this.generator.analyzer
+          .detectKeyLevels(data)
+          .map(({ type, price, ...level }) => ({
+            type,
+            price: this.generator.toTokenPrice(price),
+            marketCap: price,
+            ...level,
+          })),
+      },
+    };
+  }
+
+  // Just the candles of partialChart(), for questions on what comes next:
+  // no phase labels, events, patterns or key levels
+  candleView(chart, visibleCandles) {
+    const partial = this.partialChart(chart, visibleCandles);
+    const { data } = partial;
+
+    return {
+      ...partial,
+      metadata: {
+        ...partial.metadata,
+        realism: this.generator.realism.analyze(data),
+      },
+      annotations: {
+        phases: data.map(() => null),
+        events: [],
+        trades: [],
+        patterns: [],
+        agents: [],
+        keyLevels: [],
+      },
+    };
+  }
+
+  // What the partial view hides: the remaining candles and what happens in
+  // them, with indices on the full chart, and the real phase labels and
+  // phase changes of the visible candles
+  continuation(chart, visibleCandles) {
+    const n = this.checkIndex(chart, visibleCandles);
+    const hidden = chart.data.slice(n);
+    const lastVisible = chart.data[n - 1].close;
+    const { annotations } = chart;
+
+    return {
+      visibleCandles: n,
+      candles: hidden,
+      phases: annotations.phases.slice(n),
+      events: annotations.events.filter((event) => event.index >= n),
+      visiblePhases: annotations.phases.slice(0, n),
+      visiblePhaseChanges: annotations.events.filter(
+        (event) => event.index < n && event.type === "phase_change"
+      ),
+      changePercent:
+        hidden.length > 0
+          ? ((hidden[hidden.length - 1].close - lastVisible) / lastVisible) *
+            100
+          : 0,
+    };
+  }
+
+  // Partial chart with the hidden continuation as its answer, along with
+  // the seed, scenario, options and metadata of the whole chart; the file
+  // can be re-imported like any exported chart
+  exportPartial(chart, visibleCandles) {
+    return {
+      ...this.partialChart(chart, visibleCandles),
+      answer: {
+        ...this.continuation(chart, visibleCandles),
+        seed: chart.seed,
+        scenario: chart.scenario,
+        options: chart.options,
+        metadata: chart.metadata,
+      },
+    };
+  }
+
+  checkIndex(chart, visibleCandles) {
+    const n = Number(visibleCandles);
+    if (!Number.isInteger(n) || n < 1 || n > chart.data.length) {
+      throw new Error(
+        `Visible candles must be a whole number from 1 to ${chart.data.length}`
+      );
+    }
+    return n;
+  }
+}
+
+// Export for use - CommonJS in Node, page global in the browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ChartReplay;
+} else {
+  window.ChartReplay = ChartReplay;
+}
@@ -0,0 +1,744 @@
+// Post-bonding scenarios as declarative phase scripts, run by one engine.
+// A script is plain JSON:
+//   name        scenario name, recorded as chart.scenario
+//   candles     post-bonding candle count, a number or [min, max]
+//   volatility  per-candle noise for each volatility level
+//   volume      { base, min, noise, moveSensitivity } - base volume, floor,
+//               random spread, and extra volume per unit of price move
+//   wicks       wick size, relative to body plus noise
+//   capped      whether the bonding level is a ceiling in capped markets
+//               (uncapped markets always stop at maxMarketCap)
+//   phases      ordered list of phases:
+//     name          phase label on every candle of the phase
+//     duration      share of the candles left after fixed phases (the
+//                   durations add up to 1), or
+//     candles       a fixed candle count, a number or [min, max]
+//     drift         close-to-close change per candle
+//     volatility    noise multiplier
+//     volume        volume multiplier, changing by volumeTrend over the phase
+//     acceleration  drift grows to (1 + acceleration)x by the phase end;
+//                   from -1 to 0 it shrinks instead, front-loading the move
+//     target        { from, range, market } - steer to a market cap: `from`
+//                   ("start", "phaseStart", "ceiling", "pump" - the phase
+//                   start times the uncapped pump strength, the ceiling when
+//                   capped - or "previousHigh", the previous phase's highest
+//                   close) times a random pick in `range`, only in `market`
+//                   ("any", "capped" or "uncapped"); `hold` (0-1) pulls
+//                   toward the straight path there each candle
+//     meanReversion pull toward the target path (or the phase start level)
+//                   instead of steering straight to the target
+//     cycle         { amplitude, frequency, squeeze } - sine wave in units of
+//                   the script volatility, shrinking by `squeeze` over the phase
+//     drop          [min, max] one-candle fall on the first candle
+//     direction     "up" (as scripted) or "random" (drift flips down half the
+//                   time; targets only steer the up case)
+//     rallies       { chance, size } - relief rallies of size x noise
+//     fakeouts      inject the difficulty's failed breakouts in this phase
+//     events        event types marked on the first candle, with the phase's
+//                   dropPercent and direction
+class ScenarioEngine {
+  constructor(generator) {
+    // Seeded random helpers, market constants and pump target (the
+    // ChartGenerator)
+    this.generator = generator;
+  }
+
+  // JSON text from a file or the editor -> checked script
+  parse(text) {
+    let script;
+    try {
+      script = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Not valid JSON: ${error.message}`);
+    }
+    return this.validate(script);
+  }
+
+  // Throws on the first problem; returns a copy with every default filled in
+  validate(script) {
+    if (!script || typeof script !== "object" || Array.isArray(script)) {
+      throw new Error("Script must be a JSON object");
+    }
+    if (typeof script.name !== "string" || !script.name.trim()) {
+      throw new Error('Script needs a "name"');
+    }
+    if (!Array.isArray(script.phases) || script.phases.length === 0) {
+      throw new Error('Script needs a non-empty "phases" list');
+    }
+    this.checkObject("script", script, ScenarioEngine.SCRIPT_FIELDS);
+    if (script.volatility !== undefined) {
+      this.checkObject(
+        "volatility",
+        script.volatility,
+        Object.keys(ScenarioEngine.DEFAULTS.volatility)
+      );
+    }
+    if (script.volume !== undefined) {
+      this.checkObject(
+        "volume",
+        script.volume,
+        Object.keys(ScenarioEngine.DEFAULTS.volume)
+      );
+    }
+
+    const defaults = ScenarioEngine.DEFAULTS;
+    const checked = {
+      ...defaults,
+      ...script,
+      candles: this.checkRange("candles", script.candles ?? defaults.candles),
+      volatility: { ...defaults.volatility, ...script.volatility },
+      volume: { ...defaults.volume, ...script.volume },
+    };
+    // An empty post-bonding run is not a chart
+    if (checked.candles[0] < 1) throw new Error("candles must be at least 1");
+    Object.entries(checked.volatility).forEach(([level, value]) =>
+      this.checkNumber(`volatility.${level}`, value)
+    );
+    Object.entries(checked.volume).forEach(([field, value]) =>
+      this.checkNumber(`volume.${field}`, value)
+    );
+    this.checkNumber("wicks", checked.wicks);
+    if (typeof checked.capped !== "boolean") {
+      throw new Error('"capped" must be true or false');
+    }
+
+    checked.phases = script.phases.map((phase, i) => {
+      try {
+        return this.validatePhase(phase);
+      } catch (error) {
+        const name = phase && phase.name ? ` ("${phase.name}")` : "";
+        throw new Error(`Phase ${i + 1}${name}: ${error.message}`);
+      }
+    });
+
+    const durations = checked.phases.filter((p) => p.duration !== undefined);
+    const total = durations.reduce((sum, p) => sum + p.duration, 0);
+    if (durations.length > 0 && Math.abs(total - 1) > 1e-6) {
+      throw new Error(`Phase durations must add up to 1, got ${total}`);
+    }
+    // Without duration phases the fixed lengths are the whole run
+    if (
+      durations.length === 0 &&
+      checked.phases.every((phase) => phase.candles[0] === 0)
+    ) {
+      throw new Error("Fixed-length phases must add up to at least 1 candle");
+    }
+
+    return checked;
+  }
+
+  validatePhase(phase) {
+    if (!phase || typeof phase !== "object") {
+      throw new Error("must be an object");
+    }
+    this.checkObject("phase", phase, ScenarioEngine.PHASE_FIELDS);
+    if (typeof phase.name !== "string" || !phase.name.trim()) {
+      throw new Error('needs a "name"');
+    }
+    if ((phase.duration === undefined) === (phase.candles === undefined)) {
+      throw new Error('needs either "duration" or "candles"');
+    }
+
+    const checked = { ...ScenarioEngine.PHASE_DEFAULTS, ...phase };
+    if (phase.duration !== undefined) {
+      this.checkNumber("duration", phase.duration);
+      if (!(phase.duration > 0)) throw new Error("duration must be above 0");
+    } else {
+      checked.candles = this.checkRange("candles", phase.candles);
+    }
+
+    ["drift", "volumeTrend"].forEach((field) =>
+      this.checkNumber(field, checked[field], -Infinity)
+    );
+    ["volatility", "volume", "meanReversion"].forEach((field) =>
+      this.checkNumber(field, checked[field])
+    );
+    // Down to -1 the ramp front-loads the move instead
+    this.checkNumber("acceleration", checked.acceleration, -1);
+
+    if (phase.target !== undefined) {
+      this.checkObject("target", phase.target, [
+        "from",
+        "range",
+        "market",
+        "hold",
+      ]);
+      checked.target = {
+        from: undefined,
+        range: [1, 1],
+        market: "any",
+        hold: 0,
+      };
+      Object.assign(checked.target, phase.target);
+      if (!ScenarioEngine.TARGET_REFERENCES.includes(checked.target.from)) {
+        throw new Error(
+          `target.from must be one of ${ScenarioEngine.TARGET_REFERENCES.join(
+            ", "
+          )}`
+        );
+      }
+      checked.target.range = this.checkRange(
+        "target.range",
+        checked.target.range,
+        false
+      );
+      this.checkNumber("target.hold", checked.target.hold);
+      if (checked.target.hold > 1) throw new Error("target.hold must be <= 1");
+      if (!ScenarioEngine.TARGET_MARKETS.includes(checked.target.market)) {
+        throw new Error(
+          `target.market must be one of ${ScenarioEngine.TARGET_MARKETS.join(
+            ", "
+          )}`
+        );
+      }
+    }
+    if (phase.cycle !== undefined) {
+      this.checkObject("cycle", phase.cycle, [
+        "amplitude",
+        "frequency",
+        "squeeze",
+      ]);
+      checked.cycle = {
+        amplitude: 0,
+        frequency: 0,
+        squeeze: 0,
+        ...phase.cycle,
+      };
+      Object.entries(checked.cycle).forEach(([field, value]) =>
+        this.checkNumber(`cycle.${field}`, value)
+      );
+    }
+    if (phase.drop !== undefined) {
+      checked.drop = this.checkRange("drop", phase.drop, false);
+      if (checked.drop[1] >= 1) throw new Error("drop must be below 1");
+    }
+    if (!ScenarioEngine.DIRECTIONS.includes(checked.direction)) {
+      throw new Error(
+        `direction must be one of ${ScenarioEngine.DIRECTIONS.join(", ")}`
+      );
+    }
+    if (phase.rallies !== undefined) {
+      this.checkObject("rallies", phase.rallies, ["chance", "size"]);
+      checked.rallies = { chance: 0, size: 0, ...phase.rallies };
+      this.checkNumber("rallies.chance", checked.rallies.chance);
+      this.checkNumber("rallies.size", checked.rallies.size);
+    }
+    if (typeof checked.fakeouts !== "boolean") {
+      throw new Error("fakeouts must be true or false");
+    }
+    if (
+      !Array.isArray(checked.events) ||
+      checked.events.some((type) => typeof type !== "string" || !type)
+    ) {
+      throw new Error("events must be a list of event types");
+    }
+
+    return checked;
+  }
+
+  // A plain object with only the fields the engine reads, so a misspelt
+  // field fails instead of being ignored
+  checkObject(field, value, known) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      throw new Error(`${field} must be an object`);
+    }
+    Object.keys(value).forEach((key) => {
+      if (!known.includes(key)) {
+        throw new Error(`Unknown ${field} field "${key}"`);
+      }
+    });
+  }
+
+  checkNumber(field, value, min = 0) {
+    if (!Number.isFinite(value) || value < min) {
+      throw new Error(
+        min === -Infinity
+          ? `${field} must be a number`
+          : `${field} must be a number >= ${min}`
+      );
+    }
+  }
+
+  // A number or [min, max] -> [min, max]; counts must be whole numbers
+  checkRange(field, value, whole = true) {
+    const range = Array.isArray(value) ? value : [value, value];
+    if (
+      range.length !== 2 ||
+      range.some((n) => !Number.isFinite(n) || n < 0) ||
+      (whole && range.some((n) => !Number.isInteger(n))) ||
+      range[0] > range[1]
+    ) {
+      throw new Error(
+        `${field} must be a ${whole ? "whole " : ""}number >= 0 or [min, max]`
+      );
+    }
+    return range;
+  }
+
+  // Candles for a checked script. startMcap is the bonding close, market
+  // the generator's resolved ceiling and pump settings, clarity the
+  // difficulty settings.
+  run(script, options) {
+    const { startMcap, volatility, market, clarity } = options;
+    const g = this.generator;
+    const counts = this.allocate(script.phases, g.randomInt(...script.candles));
+    const vol = script.volatility[volatility] ?? script.volatility.medium;
+    const ceiling =
+      market.uncapped || script.capped ? market.ceiling : Infinity;
+    const candles = [];
+    let currentMcap = startMcap;
+    let previous = null;
+    let previousHigh = startMcap;
+
+    script.phases.forEach((phase, k) => {
+      const count = counts[k];
+      const phaseStart = currentMcap;
+      // Pumps are sized from where they start, so initialPumpStrength is
+      // the move the pump phase itself makes
+      const references = {
+        start: startMcap,
+        phaseStart,
+        ceiling: market.ceiling,
+        pump: market.uncapped
+          ? g.pumpTarget(phaseStart, market)
+          : market.ceiling,
+        previousHigh,
+      };
+      let phaseHigh = phaseStart;
+      const up = phase.direction === "random" ? g.rng() > 0.5 : true;
+      const details = {};
+      if (phase.direction === "random") details.direction = up ? "up" : "down";
+
+      const target = phase.target;
+      let level = null;
+      if (target && up && this.appliesTo(target.market, market)) {
+        level = references[target.from] * g.random(...target.range);
+      }
+
+      let dropFraction = null;
+      if (phase.drop) {
+        dropFraction = Math.min(g.random(...phase.drop) * clarity.drop, 0.99);
+        details.dropPercent = dropFraction * 100;
+      }
+
+      const fakeouts =
+        phase.fakeouts && clarity.fakeouts > 0
+          ? this.planFakeouts(count, clarity.fakeouts)
+          : [];
+      const rallyChance = phase.rallies
+        ? Math.min(phase.rallies.chance * clarity.rallies, 1)
+        : 0;
+
+      // Harder charts ease from the previous phase's drift and volatility
+      // instead of switching on one candle
+      const from = previous;
+      const blendCandles = from ? Math.floor(count * clarity.transition) : 0;
+
+      // Steering spreads the distance left over the candles left, weighted
+      // by the acceleration ramp
+      const weights = Array.from(
+        { length: count },
+        (_, i) => 1 + phase.acceleration * (i / count)
+      );
+      const weightTotal = weights.reduce((sum, w) => sum + w, 0);
+      let weightLeft = weightTotal;
+
+      for (let i = 0; i < count; i++) {
+        const progress = i / count;
+        const blend = i < blendCandles ? i / blendCandles : 1;
+
+        let drift;
+        if (level !== null && !phase.meanReversion) {
+          drift = (Math.log(level / currentMcap) * weights[i]) / weightLeft;
+          // Hold keeps the walk near the straight path to the target, so
+          // the noise cannot wander far past it mid-phase
+          const done = 1 - (weightLeft - weights[i]) / weightTotal;
+          const path = phaseStart * Math.pow(level / phaseStart, done);
+          drift += Math.log(path / currentMcap) * target.hold;
+        } else {
+          drift = phase.drift * (up ? 1 : -1) * clarity.signal * weights[i];
+        }
+        weightLeft -= weights[i];
+        if (blend < 1) drift = from.drift + (drift - from.drift) * blend;
+        const volMult =
+          blend < 1
+            ? from.volMult + (phase.volatility - from.volMult) * blend
+            : phase.volatility;
+
+        // Rising into the ceiling slows down
+        if (drift > 0 && (ceiling - currentMcap) / currentMcap < 0.05) {
+          drift *= 0.3;
+        }
+
+        let reversion = 0;
+        if (phase.meanReversion) {
+          const mean =
+            level === null
+              ? phaseStart
+              : phaseStart * Math.pow(level / phaseStart, progress);
+          reversion = (-(currentMcap - mean) / mean) * phase.meanReversion;
+        }
+
+        const cycle = phase.cycle
+          ? Math.sin(i * phase.cycle.frequency) *
+            vol *
+            phase.cycle.amplitude *
+            (1 - phase.cycle.squeeze * progress)
+          : 0;
+
+        const noise = g.gaussianRandom() * vol * volMult * clarity.noise;
+        const rally =
+          rallyChance > 0 && g.rng() < rallyChance
+            ? Math.abs(g.gaussianRandom()) * vol * phase.rallies.size
+            : 0;
+
+        let change = drift + reversion + cycle + noise + rally;
+        let volume =
+          script.volume.base *
+          phase.volume *
+          Math.max(1 + phase.volumeTrend * progress, 0);
+
+        const fakeout = fakeouts[i];
+        if (fakeout) {
+          // Failed breakout: pushes out on breakout-like volume, then snaps
+          // back by the same path
+          change = fakeout.change + g.gaussianRandom() * vol * 0.5;
+          volume *= 2;
+        }
+        const isDrop = i === 0 && dropFraction !== null;
+        if (isDrop) change = -dropFraction;
+
+        const open = currentMcap;
+        let close = Math.max(
+          open * Math.max(1 + change, 0.1),
+          g.INITIAL_MCAP * 0.1
+        );
+        if (close > ceiling) {
+          // Rejected just under the ceiling
+          close = ceiling * g.random(0.99, 1);
+        }
+
+        // Wicks scale with the body and the phase's noise; a drop candle's
+        // body is the rug itself, so it only gets the noise part
+        const body = isDrop ? 0 : Math.abs(close - open);
+        const wickSize = script.wicks * (body + vol * volMult * open * 0.5);
+        let high = Math.max(open, close) + g.rng() * wickSize;
+        let low = Math.min(open, close) - g.rng() * wickSize * 0.7;
+        high = Math.max(Math.min(high, ceiling * 1.01), open, close);
+        low = Math.max(low, Math.min(open, close) * 0.85);
+
+        volume *=
+          (1 + Math.abs(change) * script.volume.moveSensitivity) *
+          (1 + g.gaussianRandom() * script.volume.noise);
+        volume = Math.max(volume, script.volume.min);
+
+        const events = [];
+        if (i === 0) {
+          phase.events.forEach((type) => events.push({ type, ...details }));
+        }
+        if (fakeout && fakeout.start) {
+          events.push({ type: "fakeout", direction: fakeout.direction });
+        }
+
+        candles.push({
+          open,
+          high,
+          low,
+          close,
+          volume,
+          phase: phase.name,
+          events,
+        });
+        currentMcap = close;
+        phaseHigh = Math.max(phaseHigh, close);
+        previous = { drift, volMult: phase.volatility };
+      }
+      if (count > 0) previousHigh = phaseHigh;
+    });
+
+    return candles;
+  }
+
+  // Candles per phase: fixed counts first, then the rest split by duration
+  // with the last duration phase taking the rounding remainder
+  allocate(phases, numCandles) {
+    const g = this.generator;
+    const counts = phases.map((phase) =>
+      phase.candles ? g.randomInt(...phase.candles) : 0
+    );
+    const fixed = counts.reduce((sum, n) => sum + n, 0);
+    const free = Math.max(numCandles - fixed, 0);
+
+    let left = free;
+    let last = -1;
+    phases.forEach((phase, k) => {
+      if (phase.duration === undefined) return;
+      counts[k] = Math.floor(free * phase.duration);
+      left -= counts[k];
+      last = k;
+    });
+    if (last >= 0) counts[last] += left;
+
+    return counts;
+  }
+
+  appliesTo(targetMarket, market) {
+    if (targetMarket === "any") return true;
+    return (targetMarket === "uncapped") === market.uncapped;
+  }
+
+  // Scripted failed breakouts inside a phase, by candle index. Each gets its
+  // own stretch of the phase so they never overlap.
+  planFakeouts(phaseCandles, count) {
+    const g = this.generator;
+    const planned = [];
+    const { length, move } = ScenarioEngine.FAKEOUT;
+    const fits = Math.min(count, Math.floor(phaseCandles / (length * 2 + 1)));
+    if (fits === 0) return planned;
+
+    const stretch = Math.floor(phaseCandles / fits);
+    for (let k = 0; k < fits; k++) {
+      const start = k * stretch + g.randomInt(0, stretch - length * 2);
+      const direction = g.rng() > 0.5 ? "up" : "down";
+      const sign = direction === "up" ? 1 : -1;
+
+      for (let step = 0; step < length * 2; step++) {
+        planned[start + step] = {
+          start: step === 0,
+          direction,
+          change: (step < length ? sign : -sign) * move,
+        };
+      }
+    }
+    return planned;
+  }
+}
+
+// Script-level defaults
+ScenarioEngine.DEFAULTS = {
+  candles: [500, 1500],
+  volatility: { low: 0.012, medium: 0.02, high: 0.03, extreme: 0.04 },
+  volume: { base: 100000, min: 10000, noise: 0.3, moveSensitivity: 3 },
+  wicks: 0.5,
+  capped: true,
+};
+
+// Phase defaults: a flat phase at the script's base noise and volume
+ScenarioEngine.PHASE_DEFAULTS = {
+  drift: 0,
+  volatility: 1,
+  volume: 1,
+  volumeTrend: 0,
+  acceleration: 0,
+  meanReversion: 0,
+  direction: "up",
+  fakeouts: false,
+  events: [],
+};
+
+// Every field a script and a phase may have (see the top of this file)
+ScenarioEngine.SCRIPT_FIELDS = [
+  "name",
+  "candles",
+  "volatility",
+  "volume",
+  "wicks",
+  "capped",
+  "phases",
+];
+ScenarioEngine.PHASE_FIELDS = [
+  "name",
+  "duration",
+  "candles",
+  "target",
+  "cycle",
+  "drop",
+  "rallies",
+  ...Object.keys(ScenarioEngine.PHASE_DEFAULTS),
+];
+
+ScenarioEngine.TARGET_REFERENCES = [
+  "start",
+  "phaseStart",
+  "ceiling",
+  "pump",
+  "previousHigh",
+];
+ScenarioEngine.TARGET_MARKETS = ["any", "capped", "uncapped"];
+ScenarioEngine.DIRECTIONS = ["up", "random"];
+
+// Fakeouts: candles out (and back), and the move per candle
+ScenarioEngine.FAKEOUT = { length: 3, move: 0.045 };
+
+// The built-in scenarios (ChartGenerator.SCENARIOS), in the same format
+ScenarioEngine.BUILT_IN = {
+  // Mean reversion around the bonding level; uncapped, the level itself
+  // grows toward the pump target (higher highs)
+  organic: {
+    name: "organic",
+    volatility: { low: 0.012, medium: 0.02, high: 0.03, extreme: 0.04 },
+    volume: { base: 100000, min: 15000, noise: 0.25, moveSensitivity: 2 },
+    wicks: 0.5,
+    capped: true,
+    phases: [
+      {
+        name: "organic",
+        duration: 1,
+        drift: 0.0005,
+        target: { from: "pump" },
+        meanReversion: 0.05,
+        cycle: { amplitude: 0.2, frequency: 0.02 },
+      },
+    ],
+  },
+
+  // Tries to break the ceiling and gets rejected; uncapped, accumulation
+  // stays flat, the pump phase itself makes the initialPumpStrength move,
+  // distribution holds under its top and the dump cascades back to the start
+  pump_dump: {
+    name: "pump_dump",
+    volatility: { low: 0.025, medium: 0.035, high: 0.045, extreme: 0.055 },
+    volume: { base: 125000, min: 20000, noise: 0.4, moveSensitivity: 4 },
+    wicks: 0.8,
+    capped: true,
+    phases: [
+      {
+        name: "accumulation",
+        duration: 0.25,
+        drift: 0.002,
+        volatility: 0.8,
+        volume: 0.8,
+        target: {
+          from: "phaseStart",
+          range: [0.95, 1.1],
+          market: "uncapped",
+          hold: 0.5,
+        },
+      },
+      {
+        name: "pump",
+        duration: 0.25,
+        drift: 0.008,
+        volatility: 2,
+        volume: 2,
+        target: { from: "pump", market: "uncapped", hold: 0.5 },
+        events: ["pump_start"],
+      },
+      {
+        name: "distribution",
+        duration: 0.15,
+        drift: -0.001,
+        volatility: 1.5,
+        volume: 1.5,
+        target: {
+          from: "previousHigh",
+          range: [0.8, 0.95],
+          market: "uncapped",
+          hold: 0.5,
+        },
+      },
+      {
+        name: "dump",
+        duration: 0.35,
+        drift: -0.027,
+        volatility: 2.5,
+        volume: 2.5,
+        acceleration: -0.9,
+        target: {
+          from: "start",
+          range: [0.9, 1.2],
+          market: "uncapped",
+          hold: 0.5,
+        },
+        events: ["dump_start"],
+      },
+    ],
+  },
+
+  // A short pump, one candle that drains the pool, then a dead chart
+  instant_rug: {
+    name: "instant_rug",
+    volatility: { low: 0.01, medium: 0.02, high: 0.03, extreme: 0.04 },
+    volume: { base: 125000, min: 1000, noise: 0.2, moveSensitivity: 0 },
+    wicks: 0.5,
+    capped: false,
+    phases: [
+      {
+        name: "pre_rug",
+        candles: [10, 30],
+        drift: 0.01,
+        volatility: 0.6,
+      },
+      {
+        name: "rug",
+        candles: 1,
+        drop: [0.85, 0.95],
+        volume: 6,
+        events: ["rug_pull"],
+      },
+      {
+        name: "dead",
+        duration: 1,
+        volatility: 0.03,
+        volume: 0.03,
+      },
+    ],
+  },
+
+  // Accelerating decline to 10-20% of the start, with relief rallies on
+  // fading volume
+  slow_bleed: {
+    name: "slow_bleed",
+    volatility: { low: 0.01, medium: 0.015, high: 0.02, extreme: 0.025 },
+    volume: { base: 115000, min: 10000, noise: 0.15, moveSensitivity: 0 },
+    wicks: 0.5,
+    capped: false,
+    phases: [
+      {
+        name: "bleed",
+        duration: 1,
+        target: { from: "start", range: [0.1, 0.2] },
+        acceleration: 2,
+        volumeTrend: -0.6,
+        rallies: { chance: 0.08, size: 2 },
+      },
+    ],
+  },
+
+  // A tightening range around the start, then a breakout either way on
+  // rising volume
+  consolidation: {
+    name: "consolidation",
+    volatility: { low: 0.008, medium: 0.012, high: 0.016, extreme: 0.02 },
+    volume: { base: 80000, min: 10000, noise: 0.2, moveSensitivity: 0 },
+    wicks: 0.3,
+    capped: false,
+    phases: [
+      {
+        name: "consolidation",
+        duration: 0.7,
+        volatility: 0.5,
+        meanReversion: 0.1,
+        cycle: { amplitude: 1, frequency: 0.15, squeeze: 0.5 },
+        fakeouts: true,
+      },
+      {
+        name: "breakout",
+        duration: 0.3,
+        drift: 0.008,
+        direction: "random",
+        acceleration: 1,
+        volume: 2.5,
+        target: { from: "pump", market: "uncapped" },
+        events: ["breakout"],
+      },
+    ],
+  },
+};
+
+// Export for use - CommonJS in Node, page global in the browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ScenarioEngine;
+} else {
+  window.ScenarioEngine = ScenarioEngine;
+}
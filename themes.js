@@ -0,0 +1,165 @@
+// Named colour and layout presets shared by the live chart and image exports
+// (FrontEndSandbox.md section 8: style 'tradingview|binance|coinbase|custom')
+class ChartThemes {
+  get(name) {
+    const theme = ChartThemes.PRESETS[name];
+    if (!theme) {
+      throw new Error(
+        `Style must be one of ${Object.keys(ChartThemes.PRESETS).join(", ")}`
+      );
+    }
+    return theme;
+  }
+
+  // lightweight-charts createChart/applyOptions options for a theme
+  chartOptions(theme) {
+    const gridLine = (visible) => ({ color: theme.grid, visible });
+
+    return {
+      layout: {
+        background: { color: theme.background },
+        textColor: theme.text,
+        fontFamily: theme.fontFamily,
+        fontSize: theme.fontSize,
+      },
+      grid: {
+        vertLines: gridLine(theme.verticalGrid),
+        horzLines: gridLine(theme.horizontalGrid),
+      },
+      rightPriceScale: { borderColor: theme.border },
+      timeScale: { borderColor: theme.border },
+    };
+  }
+
+  candleOptions(theme) {
+    return {
+      upColor: theme.up,
+      downColor: theme.down,
+      borderUpColor: theme.up,
+      borderDownColor: theme.down,
+      wickUpColor: theme.up,
+      wickDownColor: theme.down,
+    };
+  }
+
+  // Axis and info panel labels, shared by the app and the image renderer
+  formatMcap(value) {
+    if (value >= 1000000) return `$${(value / 1000000).toFixed(2)}M`;
+    if (value >= 1000) return `$${(value / 1000).toFixed(1)}K`;
+    return `$${value.toFixed(0)}`;
+  }
+
+  // Small token prices the way terminals show them: 0.00001234 -> $0.0₄1234
+  formatTokenPrice(value) {
+    if (!(value > 0)) return "$0";
+    if (value >= 0.01) return `$${value.toFixed(4)}`;
+
+    const zeros = Math.max(0, -Math.floor(Math.log10(value)) - 1);
+    const digits = (value * Math.pow(10, zeros + 4)).toFixed(0);
+    if (zeros < 4) return `$0.${"0".repeat(zeros)}${digits}`;
+
+    const subscript = String(zeros)
+      .split("")
+      .map((d) => "₀₁₂₃₄₅₆₇₈₉"[d])
+      .join("");
+    return `$0.0${subscript}${digits}`;
+  }
+}
+
+const SYSTEM_FONT =
+  '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+ChartThemes.PRESETS = {
+  // The app's original look
+  default: {
+    background: "#131722",
+    text: "#d1d4dc",
+    grid: "#2a2e39",
+    border: "#2a2e39",
+    up: "#00ff88",
+    down: "#ff4444",
+    volumeUp: "rgba(0, 255, 136, 0.5)",
+    volumeDown: "rgba(255, 68, 68, 0.5)",
+    bondingLine: "#ffff00",
+    fontFamily: SYSTEM_FONT,
+    fontSize: 12,
+    verticalGrid: true,
+    horizontalGrid: true,
+  },
+  tradingview: {
+    background: "#131722",
+    text: "#b2b5be",
+    grid: "#1e222d",
+    border: "#2a2e39",
+    up: "#26a69a",
+    down: "#ef5350",
+    volumeUp: "rgba(38, 166, 154, 0.5)",
+    volumeDown: "rgba(239, 83, 80, 0.5)",
+    bondingLine: "#f7c948",
+    fontFamily: SYSTEM_FONT,
+    fontSize: 12,
+    verticalGrid: true,
+    horizontalGrid: true,
+  },
+  binance: {
+    background: "#181a20",
+    text: "#848e9c",
+    grid: "#2b3139",
+    border: "#2b3139",
+    up: "#0ecb81",
+    down: "#f6465d",
+    volumeUp: "rgba(14, 203, 129, 0.5)",
+    volumeDown: "rgba(246, 70, 93, 0.5)",
+    bondingLine: "#f0b90b",
+    fontFamily: "Arial, sans-serif",
+    fontSize: 11,
+    verticalGrid: false,
+    horizontalGrid: true,
+  },
+  coinbase: {
+    background: "#ffffff",
+    text: "#5b616e",
+    grid: "#eef0f3",
+    border: "#dee1e6",
+    up: "#05b169",
+    down: "#df5f67",
+    volumeUp: "rgba(5, 177, 105, 0.4)",
+    volumeDown: "rgba(223, 95, 103, 0.4)",
+    bondingLine: "#0052ff",
+    fontFamily: "Helvetica, Arial, sans-serif",
+    fontSize: 12,
+    verticalGrid: false,
+    horizontalGrid: true,
+  },
+  // chartRenderConfig.colors from the spec
+  custom: {
+    background: "#0a0a0a",
+    text: "#d1d4dc",
+    grid: "#1a1a1a",
+    border: "#1a1a1a",
+    up: "#00ff00",
+    down: "#ff0000",
+    volumeUp: "#4a4a4a",
+    volumeDown: "#4a4a4a",
+    bondingLine: "#ffff00",
+    fontFamily: SYSTEM_FONT,
+    fontSize: 12,
+    verticalGrid: true,
+    horizontalGrid: true,
+  },
+};
+
+// Export sizes offered by the app; FrontEndSandbox.md asks for 1920x1080
+ChartThemes.RESOLUTIONS = {
+  "1920x1080": { width: 1920, height: 1080 },
+  "1280x720": { width: 1280, height: 720 },
+  "1024x1024": { width: 1024, height: 1024 },
+  "3840x2160": { width: 3840, height: 2160 },
+};
+
+// Export for use - CommonJS in Node, page global in the browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ChartThemes;
+} else {
+  window.ChartThemes = ChartThemes;
+}
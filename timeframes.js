@@ -0,0 +1,122 @@
+// Aggregate the generated 1-minute candles into higher timeframes
+class CandleResampler {
+  seconds(timeframe) {
+    const seconds = CandleResampler.TIMEFRAMES[timeframe];
+    if (!seconds) {
+      throw new Error(
+        `Timeframe must be one of ${Object.keys(
+          CandleResampler.TIMEFRAMES
+        ).join(", ")}`
+      );
+    }
+    return seconds;
+  }
+
+  // Bucket start for every candle; buckets are aligned to the epoch like
+  // exchange candles, so a chart may start with a partial bucket
+  bucketTimes(data, timeframe) {
+    const seconds = this.seconds(timeframe);
+    return data.map((candle) => Math.floor(candle.time / seconds) * seconds);
+  }
+
+  // Open of the first candle, close of the last, high/low extremes and
+  // summed volume. Other fields (price, marketCap) follow the close.
+  resample(data, timeframe) {
+    const times = this.bucketTimes(data, timeframe);
+    const candles = [];
+
+    data.forEach((candle, i) => {
+      const last = candles[candles.length - 1];
+      if (!last || last.time !== times[i]) {
+        candles.push({ ...candle, time: times[i] });
+        return;
+      }
+
+      Object.assign(last, {
+        ...candle,
+        time: last.time,
+        open: last.open,
+        high: Math.max(last.high, candle.high),
+        low: Math.min(last.low, candle.low),
+        volume: last.volume + candle.volume,
+      });
+    });
+
+    return candles;
+  }
+
+  // Resampled candle index for every 1-minute candle index
+  indexMap(data, timeframe) {
+    const times = this.bucketTimes(data, timeframe);
+    let index = -1;
+    return times.map((time, i) =>
+      i === 0 || time !== times[i - 1] ? ++index : index
+    );
+  }
+
+  // A whole generate() result on another timeframe: candles are resampled,
+  // annotation indices point at the resampled candles, and each candle's
+  // phase label is the phase at its close. Market cap metadata and the
+  // realism report still describe the underlying 1-minute chart.
+  resampleChart(chart, timeframe) {
+    const data = this.resample(chart.data, timeframe);
+    const toIndex = this.indexMap(chart.data, timeframe);
+    const remap = (index) => (index === null ? null : toIndex[index]);
+    const { metadata, annotations } = chart;
+
+    const phases = [];
+    annotations.phases.forEach((phase, i) => (phases[toIndex[i]] = phase));
+
+    const bondingCandleIndex = remap(metadata.bondingCandleIndex);
+
+    return {
+      ...chart,
+      data,
+      metadata: {
+        ...metadata,
+        timeframe,
+        totalCandles: data.length,
+        preBondingCandles: bondingCandleIndex ?? data.length,
+        postBondingCandles: data.length - (bondingCandleIndex ?? data.length),
+        bondingCandleIndex,
+      },
+      annotations: {
+        ...annotations,
+        phases,
+        events: annotations.events.map((event) => ({
+          ...event,
+          index: remap(event.index),
+        })),
+        trades: annotations.trades.map((trade) => ({
+          ...trade,
+          index: remap(trade.index),
+        })),
+        patterns: annotations.patterns.map((pattern) => ({
+          ...pattern,
+          startIndex: remap(pattern.startIndex),
+          endIndex: remap(pattern.endIndex),
+        })),
+        keyLevels: annotations.keyLevels.map((level) => ({
+          ...level,
+          lastTouchIndex: remap(level.lastTouchIndex),
+        })),
+      },
+    };
+  }
+}
+
+// Bucket length in seconds per timeframe
+CandleResampler.TIMEFRAMES = {
+  "1m": 60,
+  "5m": 300,
+  "15m": 900,
+  "1h": 3600,
+  "4h": 14400,
+};
+
+// Export for use - CommonJS in Node, page global in the browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CandleResampler;
+} else {
+  window.CandleResampler = CandleResampler;
+}
@@ -0,0 +1,124 @@
+// OHLC validation rules from FrontEndSandbox.md section 4, with repair
+class CandleValidator {
+  constructor(settings = {}) {
+    this.maxGap = settings.maxGap ?? 0.1; // Max open vs previous close gap
+    this.minPrice = settings.minPrice ?? 1e-9; // Floor used when repairing
+    this.minVolume = settings.minVolume ?? 1;
+  }
+
+  // Names of the rules a candle breaks (empty when valid)
+  check(candle, previous) {
+    const { open, high, low, close, volume } = candle;
+    const prices = [open, high, low, close];
+    const broken = [];
+
+    if (!prices.every((p) => Number.isFinite(p) && p > 0)) {
+      broken.push("positive_prices");
+    }
+    if (!(high >= Math.max(open, close))) broken.push("high_above_body");
+    if (!(low <= Math.min(open, close))) broken.push("low_below_body");
+    if (!(high >= low)) broken.push("high_above_low");
+    if (!(Number.isFinite(volume) && volume > 0)) {
+      broken.push("positive_volume");
+    }
+    if (
+      previous &&
+      !(Math.abs(open - previous.close) / previous.close < this.maxGap)
+    ) {
+      broken.push("open_gap");
+    }
+
+    return broken;
+  }
+
+  // Smallest change that makes the candle valid; keeps any extra fields
+  repair(candle, previous) {
+    const floor = (price, fallback) =>
+      Number.isFinite(price) ? Math.max(price, this.minPrice) : fallback;
+
+    const open = previous ? previous.close : floor(candle.open, this.minPrice);
+    const close = floor(candle.close, open);
+    const high = Math.max(floor(candle.high, 0), open, close);
+    const low = Math.min(floor(candle.low, Infinity), open, close);
+    const volume =
+      Number.isFinite(candle.volume) && candle.volume > 0
+        ? candle.volume
+        : this.minVolume;
+
+    return { ...candle, open, high, low, close, volume };
+  }
+
+  // policy: "repair" fixes bad candles, "report" leaves them as they are,
+  // "throw" raises a CandleValidationError listing every bad candle
+  validateSeries(candles, policy = "repair") {
+    if (!CandleValidator.POLICIES.includes(policy)) {
+      throw new Error(
+        `Validation policy must be one of ${CandleValidator.POLICIES.join(
+          ", "
+        )}`
+      );
+    }
+
+    const issues = [];
+    const output = [];
+
+    candles.forEach((candle, index) => {
+      const previous = output[index - 1];
+      const rules = this.check(candle, previous);
+
+      if (rules.length === 0) {
+        output.push(candle);
+        return;
+      }
+
+      issues.push({ index, rules });
+      output.push(policy === "repair" ? this.repair(candle, previous) : candle);
+    });
+
+    if (policy === "throw" && issues.length > 0) {
+      throw new CandleValidationError(issues);
+    }
+
+    const ruleCounts = {};
+    issues.forEach(({ rules }) => {
+      rules.forEach((rule) => (ruleCounts[rule] = (ruleCounts[rule] || 0) + 1));
+    });
+
+    return {
+      candles: output,
+      summary: {
+        policy,
+        checked: candles.length,
+        invalid: issues.length,
+        repaired: policy === "repair" ? issues.length : 0,
+        rules: ruleCounts,
+        // First few offenders, enough to trace a generator bug
+        samples: issues.slice(0, CandleValidator.MAX_SAMPLES),
+      },
+    };
+  }
+}
+
+class CandleValidationError extends Error {
+  constructor(issues) {
+    const [first] = issues;
+    super(
+      `${issues.length} invalid candle(s); first at index ${
+        first.index
+      } (${first.rules.join(", ")})`
+    );
+    this.name = "CandleValidationError";
+    this.issues = issues;
+  }
+}
+
+CandleValidator.POLICIES = ["repair", "report", "throw"];
+CandleValidator.MAX_SAMPLES = 20;
+CandleValidator.CandleValidationError = CandleValidationError;
+
+// Export for use - CommonJS in Node, page global in the browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CandleValidator;
+} else {
+  window.CandleValidator = CandleValidator;
+}